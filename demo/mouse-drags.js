@@ -1,63 +1,3 @@
-// Emits each element of the input stream until the control stream has emitted an
-// element.
-function takeUntil(stream, control) {
-
-    return new Observable(sink => {
-
-        let source = stream.subscribe(sink);
-
-        let input = control.subscribe({
-
-            next: x => sink.complete(x),
-            error: x => sink.error(x),
-            complete: x => sink.complete(x),
-        });
-
-        return _=> {
-
-            source.unsubscribe();
-            input.unsubscribe();
-        };
-    });
-}
-
-// For a nested stream, emits the elements of the inner stream contained within the
-// most recent outer stream
-function switchLatest(stream) {
-
-    return new Observable(sink => {
-
-        let inner = null;
-
-        let outer = stream.subscribe({
-
-            next(value) {
-
-                if (inner)
-                    inner.unsubscribe();
-
-                inner = value.subscribe({
-
-                    next: x => sink.next(x),
-                    error: x => sink.error(x),
-                });
-            },
-
-            error: x => sink.error(x),
-            complete: x => sink.complete(x),
-
-        });
-
-        return _=> {
-
-            if (inner)
-                inner.unsubscribe();
-
-            outer.unsubscribe();
-        };
-    });
-}
-
 // Returns an observable of DOM element events
 function listen(element, eventName) {
 
@@ -78,26 +18,21 @@ function mouseDrags(element) {
 
         e.preventDefault();
 
-        return takeUntil(
-            listen(element, "mousemove"),
-            listen(document, "mouseup"));
+        return listen(element, "mousemove").takeUntil(listen(document, "mouseup"));
     });
 
     // Return a stream of mouse moves nested within the most recent mouse down
-    return switchLatest(moveStreams);
+    return moveStreams.switchAll();
 }
 
 let subscription = mouseDrags(document.body).subscribe({
     next(e) { console.log(`DRAG: <${ e.x }:${ e.y }>`) }
 });
 
-/*
-
 (async _=> {
 
-    for await (let e of mouseDrags(document.body))
-        console.log(`DRAG: <${ e.x }:${ e.y }>`);
+    // Only the most recent drag position matters if the loop falls behind
+    for await (let e of mouseDrags(document.body)[Symbol.asyncIterator]({ policy: "latest" }))
+        console.log(`ASYNC DRAG: <${ e.x }:${ e.y }>`);
 
 })();
-
-*/
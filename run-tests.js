@@ -1,4 +1,29 @@
-import { Observable } from "./src/Observable.js";
+import {
+
+    Observable,
+    Scheduler,
+    TestScheduler,
+    Subject,
+    BehaviorSubject,
+    ReplaySubject,
+    ConnectableObservable,
+    EmptyError,
+    TimeoutError,
+    Notification,
+
+} from "./src/Observable.js";
+
 import { runTests } from "./test/default.js";
 
-runTests(Observable);
+runTests(Observable, {
+
+    Scheduler,
+    TestScheduler,
+    Subject,
+    BehaviorSubject,
+    ReplaySubject,
+    ConnectableObservable,
+    EmptyError,
+    TimeoutError,
+    Notification,
+});
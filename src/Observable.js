@@ -1,396 +1,4131 @@
-// === Non-Promise Job Queueing ===
+// === Job Queueing ===
+
+function createMutationQueue() {
+
+    // Newish Browsers
+    let Observer = typeof self !== "undefined" &&
+        (self.MutationObserver || self.WebKitMutationObserver);
+
+    if (!Observer)
+        return undefined;
+
+    let div = document.createElement("div"),
+        twiddle = _=> div.classList.toggle("x"),
+        queue = [];
+
+    let observer = new Observer(_=> {
+
+        if (queue.length > 1)
+            twiddle();
+
+        while (queue.length > 0)
+            queue.shift()();
+    });
+
+    observer.observe(div, { attributes: true });
+
+    return fn => {
+
+        queue.push(fn);
+
+        if (queue.length === 1)
+            twiddle();
+    };
+}
 
 const enqueueJob = (function() {
 
     // Node
-    if (typeof global !== "undefined" &&
-        typeof process !== "undefined" &&
-        process.nextTick) {
+    if (typeof process !== "undefined" && process.nextTick) {
 
-        return global.setImmediate ?
-            fn => { global.setImmediate(fn) } :
+        return typeof setImmediate === "function" ?
+            fn => { setImmediate(fn) } :
             fn => { process.nextTick(fn) };
     }
 
-    // Newish Browsers
-    let Observer = self.MutationObserver || self.WebKitMutationObserver;
+    // Browsers, with a fallback to timers
+    return createMutationQueue() || (fn => { setTimeout(fn, 0) });
+
+})();
+
+const enqueueMicrotask = (function() {
+
+    if (typeof queueMicrotask === "function")
+        return fn => { queueMicrotask(fn) };
+
+    // Fallback
+    return createMutationQueue() || (fn => { Promise.resolve().then(fn) });
+
+})();
+
+const enqueueMacrotask = (function() {
+
+    // Node
+    if (typeof setImmediate === "function")
+        return fn => { setImmediate(fn) };
+
+    // Fallback
+    return fn => { setTimeout(fn, 0) };
+
+})();
+
+// Roughly 60 frames per second
+const frameDuration = 16;
+
+const enqueueAnimationFrame = (function() {
+
+    // Browsers, where the job receives the frame timestamp
+    if (typeof requestAnimationFrame === "function")
+        return fn => { requestAnimationFrame(fn) };
+
+    // Fallback
+    return fn => { setTimeout(fn, frameDuration) };
+
+})();
+
+// === Schedulers ===
+
+export class Scheduler {
+
+    constructor(enqueue) {
+
+        // The job queueing function must be a function
+        if (typeof enqueue !== "function")
+            throw new TypeError(enqueue + " is not a function");
+
+        this._enqueue = enqueue;
+    }
+
+    now() {
+
+        return Date.now();
+    }
+
+    schedule(fn, delay = 0) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let cancelled = false,
+            timer = undefined;
+
+        // Arguments from the job queue, such as a frame timestamp, are passed to the job
+        let run = (...args) => { if (!cancelled) fn(...args) };
+
+        // Wait for the delay to elapse before queueing the job
+        if (delay > 0) {
+
+            timer = setTimeout(_=> {
+
+                timer = undefined;
+                this._enqueue(run);
+
+            }, delay);
+
+        } else {
+
+            this._enqueue(run);
+        }
+
+        // Return a function which will cancel the job
+        return _=> {
+
+            cancelled = true;
+
+            if (timer !== undefined)
+                clearTimeout(timer);
+        };
+    }
+
+    static get default() { return defaultScheduler }
+
+    static get microtask() { return microtaskScheduler }
+
+    static get macrotask() { return macrotaskScheduler }
+
+    static get immediate() { return immediateScheduler }
+
+    static get animationFrame() { return animationFrameScheduler }
+
+}
+
+class AnimationFrameScheduler extends Scheduler {
+
+    now() {
+
+        // Frame timestamps are measured on the same clock as performance.now
+        return typeof performance !== "undefined" && typeof performance.now === "function" ?
+            performance.now() :
+            Date.now();
+    }
+
+}
+
+const defaultScheduler = new Scheduler(enqueueJob),
+    microtaskScheduler = new Scheduler(enqueueMicrotask),
+    macrotaskScheduler = new Scheduler(enqueueMacrotask),
+    immediateScheduler = new Scheduler(fn => { fn() }),
+    animationFrameScheduler = new AnimationFrameScheduler(enqueueAnimationFrame);
+
+export class TestScheduler extends Scheduler {
+
+    constructor() {
+
+        // Jobs are run by advancing the virtual clock, never by a job queue
+        super(fn => { fn() });
+
+        this._now = 0;
+        this._jobs = [];
+        this._sequence = 0;
+    }
+
+    now() {
+
+        return this._now;
+    }
+
+    schedule(fn, delay = 0) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let jobs = this._jobs,
+            job = { time: this._now + Math.max(Number(delay) || 0, 0), order: this._sequence++, fn },
+            i = jobs.length;
+
+        // Keep jobs ordered by due time, and jobs with the same due time in the order
+        // they were scheduled
+        while (i > 0 && jobs[i - 1].time > job.time)
+            i--;
+
+        jobs.splice(i, 0, job);
+
+        return _=> {
+
+            let index = jobs.indexOf(job);
+
+            if (index >= 0)
+                jobs.splice(index, 1);
+        };
+    }
+
+    advanceBy(ms) {
+
+        if (typeof ms !== "number" || !(ms >= 0))
+            throw new RangeError("Time must be a non-negative number");
+
+        runJobsUntil(this, this._now + ms);
+    }
+
+    flush() {
+
+        runJobsUntil(this, this._now);
+    }
+
+    runUntilIdle(limit = 10000) {
+
+        let count = 0;
+
+        while (this._jobs.length > 0) {
+
+            // Periodic jobs would otherwise keep the clock running forever
+            if (++count > limit)
+                throw new Error("TestScheduler did not become idle after " + limit + " jobs");
+
+            runNextJob(this);
+        }
+    }
+
+}
+
+function runNextJob(scheduler) {
+
+    let job = scheduler._jobs.shift();
+    scheduler._now = job.time;
+    job.fn();
+}
+
+function runJobsUntil(scheduler, time) {
+
+    let jobs = scheduler._jobs;
+
+    while (jobs.length > 0 && jobs[0].time <= time)
+        runNextJob(scheduler);
+
+    scheduler._now = time;
+}
+
+// === Errors ===
+
+export class EmptyError extends Error {
+
+    constructor(message = "No elements in sequence") {
+
+        super(message);
+        this.name = "EmptyError";
+    }
+
+}
+
+export class TimeoutError extends Error {
+
+    constructor(message = "Timeout has occurred") {
+
+        super(message);
+        this.name = "TimeoutError";
+    }
+
+}
+
+// === Symbol Polyfills ===
+
+function polyfillSymbol(name) {
+
+    if (!Symbol[name])
+        Object.defineProperty(Symbol, name, { value: Symbol(name) });
+}
+
+polyfillSymbol("observable");
+polyfillSymbol("asyncIterator");
+polyfillSymbol("dispose");
+polyfillSymbol("asyncDispose");
+
+// === Abstract Operations ===
+
+function nonEnum(obj) {
+
+    let keys = Object.getOwnPropertyNames(obj).concat(Object.getOwnPropertySymbols(obj));
+
+    keys.forEach(k => {
+        Object.defineProperty(obj, k, { enumerable: false });
+    });
+
+    return obj;
+}
+
+function ignoreError() {
+
+    // Used for promise rejections which have no caller to receive them, such as
+    // errors thrown by an observer during asynchronous delivery
+}
+
+function getMethod(obj, key) {
+
+    let value = obj[key];
+
+    if (value == null)
+        return undefined;
+
+    if (typeof value !== "function")
+        throw new TypeError(value + " is not a function");
+
+    return value;
+}
+
+function getScheduler(C, scheduler) {
+
+    // If a scheduler is not provided, then use the constructor's default
+    if (scheduler === undefined && C != null)
+        scheduler = C.scheduler;
+
+    if (scheduler == null)
+        return defaultScheduler;
+
+    if (typeof scheduler.schedule !== "function")
+        throw new TypeError(scheduler + " is not a scheduler");
+
+    return scheduler;
+}
+
+function getSpecies(obj) {
+
+    let ctor = obj.constructor;
+
+    if (Object(ctor) !== ctor)
+        throw new TypeError(ctor + " is not an object");
+
+    let species = ctor[Symbol.species];
+
+    if (typeof species !== "function")
+        throw new TypeError(species + " is not a constructor");
+
+    return species;
+}
+
+function cleanupSubscription(observer) {
+
+    // Assert:  observer._observer is undefined
+
+    let cleanup = observer._cleanup,
+        teardowns = observer._teardowns;
+
+    // Drop the references to the cleanup function and any added teardowns so
+    // that we won't call them more than once
+    observer._cleanup = undefined;
+    observer._teardowns = undefined;
+
+    try {
+
+        // Call the cleanup function, returning its result so that asynchronous
+        // cleanup can be awaited
+        return cleanup ? cleanup() : undefined;
+
+    } finally {
+
+        if (teardowns)
+            runTeardowns(teardowns);
+    }
+}
+
+function runTeardown(teardown) {
+
+    if (typeof teardown === "function")
+        teardown();
+    else
+        teardown.unsubscribe();
+}
+
+function runTeardowns(teardowns) {
+
+    let thrown = undefined;
+
+    // Every teardown is run, even if an earlier teardown throws
+    teardowns.forEach(teardown => {
+
+        try { runTeardown(teardown) }
+        catch (e) { if (!thrown) thrown = { value: e } }
+    });
+
+    if (thrown)
+        throw thrown.value;
+}
+
+function addTeardown(observer, teardown) {
+
+    // The teardown must be a function or a subscription object
+    if (typeof teardown !== "function" &&
+        (Object(teardown) !== teardown || typeof teardown.unsubscribe !== "function")) {
+
+        throw new TypeError(teardown + " is not a function or subscription");
+    }
+
+    // If the subscription is already closed, then run the teardown immediately
+    if (subscriptionClosed(observer)) {
+
+        runTeardown(teardown);
+        return;
+    }
+
+    if (!observer._teardowns)
+        observer._teardowns = [];
+
+    observer._teardowns.push(teardown);
+}
+
+function removeTeardown(observer, teardown) {
+
+    let teardowns = observer._teardowns,
+        index = teardowns ? teardowns.indexOf(teardown) : -1;
+
+    if (index >= 0)
+        teardowns.splice(index, 1);
+}
+
+function subscriptionClosed(observer) {
+
+    return observer._observer === undefined;
+}
+
+function closeSubscription(observer) {
+
+    if (subscriptionClosed(observer))
+        return undefined;
+
+    observer._observer = undefined;
+    return cleanupSubscription(observer);
+}
+
+function getSignal(options) {
+
+    if (Object(options) !== options)
+        throw new TypeError(options + " is not an object");
+
+    let signal = options.signal;
+
+    if (signal == null)
+        return undefined;
+
+    if (Object(signal) !== signal || typeof signal.addEventListener !== "function")
+        throw new TypeError(signal + " is not an AbortSignal");
+
+    return signal;
+}
+
+function observePromise(observable, options, init) {
+
+    return new Promise((resolve, reject) => {
+
+        let signal = getSignal(options),
+            onAbort = undefined;
+
+        let settle = done => value => {
+
+            if (onAbort)
+                signal.removeEventListener("abort", onAbort);
+
+            done(value);
+        };
+
+        // The observer is created before listening for abort, so that argument
+        // errors thrown by init do not leave a listener on the signal
+        let observer = init(settle(resolve), settle(reject));
+
+        if (signal) {
+
+            if (signal.aborted)
+                throw signal.reason;
+
+            // Aborting the signal rejects the promise with the abort reason
+            onAbort = _=> reject(signal.reason);
+            signal.addEventListener("abort", onAbort);
+        }
+
+        observable.subscribe(observer, { signal });
+    });
+}
+
+function promiseValue(observable, options, first) {
+
+    return observePromise(observable, options, (resolve, reject) => {
+
+        let hasDefault = "defaultValue" in options,
+            hasValue = false,
+            last = undefined,
+            subscription = undefined;
+
+        return {
+
+            start(s) { subscription = s },
+
+            next(value) {
+
+                // The first value settles the promise and cancels the subscription
+                if (first) {
+
+                    resolve(value);
+                    subscription.unsubscribe();
+                    return;
+                }
+
+                hasValue = true;
+                last = value;
+            },
+
+            error: reject,
+
+            complete() {
+
+                if (hasValue)
+                    resolve(last);
+                else if (hasDefault)
+                    resolve(options.defaultValue);
+                else
+                    reject(new EmptyError());
+            },
+        };
+    });
+}
+
+function disposeResource(resource) {
+
+    if (resource == null)
+        return;
+
+    let method = getMethod(resource, Symbol.dispose) ||
+        getMethod(resource, Symbol.asyncDispose) ||
+        getMethod(resource, "unsubscribe");
+
+    if (!method)
+        return undefined;
+
+    let result = method.call(resource);
+
+    // Asynchronous disposal is returned so that it can be awaited with
+    // Symbol.asyncDispose.  If nothing awaits it, a rejection is ignored.
+    if (result && typeof result.then === "function")
+        result.then(null, ignoreError);
+
+    return result;
+}
+
+function getConcurrency(concurrency) {
+
+    if (typeof concurrency !== "number" ||
+        !(concurrency >= 1) ||
+        (concurrency !== Infinity && concurrency % 1 !== 0)) {
+
+        throw new RangeError("Concurrency must be a positive integer");
+    }
+
+    return concurrency;
+}
+
+function flattenMap(source, fn, concurrency, exhaust) {
+
+    if (typeof fn !== "function")
+        throw new TypeError(fn + " is not a function");
+
+    let C = getSpecies(source);
+
+    return new C(observer => {
+
+        let inners = new Set(),
+            buffer = [],
+            draining = false,
+            outerDone = false,
+            outerValue = undefined;
+
+        function completeIfDone() {
+
+            // The result completes when the outer stream and every inner stream are done
+            if (outerDone && inners.size === 0 && buffer.length === 0)
+                observer.complete(outerValue);
+        }
+
+        function subscribeInner(value) {
+
+            let inner;
+
+            try { inner = Observable.from(fn(value)) }
+            catch (e) { observer.error(e); return }
+
+            let subscription = undefined;
+
+            inner.subscribe({
+
+                start(s) {
+
+                    subscription = s;
+                    inners.add(s);
+                },
+
+                next(x) { return observer.next(x) },
+                error(x) { return observer.error(x) },
+
+                complete() {
+
+                    inners.delete(subscription);
+                    drain();
+                },
+            });
+        }
+
+        function drain() {
+
+            // Inner streams which complete synchronously would otherwise recurse
+            if (draining)
+                return;
+
+            draining = true;
+
+            try {
+
+                while (buffer.length > 0 && inners.size < concurrency && !observer.closed)
+                    subscribeInner(buffer.shift());
+
+            } finally {
+
+                draining = false;
+            }
+
+            if (!observer.closed)
+                completeIfDone();
+        }
+
+        let outer = source.subscribe({
+
+            next(value) {
+
+                if (inners.size < concurrency) {
+
+                    buffer.push(value);
+                    drain();
+
+                } else if (!exhaust) {
+
+                    // Wait for an active inner stream to complete
+                    buffer.push(value);
+                }
+            },
+
+            error(value) { return observer.error(value) },
+
+            complete(value) {
+
+                outerDone = true;
+                outerValue = value;
+                completeIfDone();
+            },
+        });
+
+        return _=> {
+
+            buffer = [];
+            inners.forEach(s => s.unsubscribe());
+            inners.clear();
+            outer.unsubscribe();
+        };
+    });
+}
+
+function accumulate(source, fn, args, emitEach) {
+
+    if (typeof fn !== "function")
+        throw new TypeError(fn + " is not a function");
+
+    let C = getSpecies(source),
+        hasSeed = args.length > 0,
+        seed = args[0];
+
+    return new C(observer => {
+
+        let hasValue = hasSeed,
+            acc = seed;
+
+        return source.subscribe({
+
+            next(value) {
+
+                // Without a seed, the first value is the initial accumulation
+                if (!hasValue) {
+
+                    acc = value;
+                    hasValue = true;
+
+                } else {
+
+                    try { acc = fn(acc, value) }
+                    catch (e) { return observer.error(e) }
+                }
+
+                if (emitEach)
+                    return observer.next(acc);
+            },
+
+            error(value) { return observer.error(value) },
+
+            complete() {
+
+                if (emitEach)
+                    return observer.complete(acc);
+
+                if (!hasValue)
+                    return observer.error(new EmptyError());
+
+                // The result is sent as the final value and as the completion value
+                observer.next(acc);
+                return observer.complete(acc);
+            },
+        });
+    });
+}
+
+function closeAndCleanup(subscription) {
+
+    // When an observer's error or complete method is running, cleanup is deferred
+    // until the method returns.  Close the subscription and run the cleanup now, so
+    // that it happens before anything else is subscribed.
+    if (subscription instanceof Subscription) {
+
+        let observer = subscription._observer;
+        observer._observer = undefined;
+        cleanupSubscription(observer);
+
+    } else {
+
+        subscription.unsubscribe();
+    }
+}
+
+function recoverFrom(source, observer, onError) {
+
+    let subscription = undefined,
+        subscribing = false,
+        failed = undefined;
+
+    function subscribe() {
+
+        let error = undefined;
+
+        do {
+
+            if (observer.closed)
+                return;
+
+            failed = undefined;
+            subscribing = true;
+
+            source.subscribe({
+
+                start(s) { subscription = s },
+                next(value) { return observer.next(value) },
+
+                error(value) {
+
+                    // The failed attempt is cleaned up before recovering
+                    closeAndCleanup(subscription);
+
+                    // Errors sent while subscribing are handled after subscribe returns,
+                    // when the attempt's cleanup function is available
+                    if (subscribing)
+                        failed = { value };
+                    else if (onError(value, subscribe))
+                        subscribe();
+                },
+
+                complete(value) { return observer.complete(value) },
+            });
+
+            subscribing = false;
+            error = failed;
+
+        } while (error && onError(error.value, subscribe));
+    }
+
+    subscribe();
+
+    return _=> {
+
+        if (subscription)
+            subscription.unsubscribe();
+    };
+}
+
+function getRetryOptions(options) {
+
+    if (typeof options === "number")
+        options = { count: options };
+
+    if (Object(options) !== options)
+        throw new TypeError(options + " is not an object");
+
+    let {
+        count = Infinity,
+        delay = 0,
+        backoff = 1,
+        maxDelay = Infinity,
+        jitter = 0,
+    } = options;
+
+    if (typeof count !== "number" || !(count >= 0) || (count !== Infinity && count % 1 !== 0))
+        throw new RangeError("Retry count must be a non-negative integer");
+
+    if (typeof delay !== "function" && (typeof delay !== "number" || !(delay >= 0)))
+        throw new TypeError(delay + " is not a function or non-negative number");
+
+    if (typeof backoff !== "number" || !(backoff >= 1))
+        throw new RangeError("Backoff must be a number greater than or equal to 1");
+
+    if (typeof maxDelay !== "number" || !(maxDelay >= 0))
+        throw new RangeError("Maximum delay must be a non-negative number");
+
+    if (typeof jitter !== "number" || !(jitter >= 0 && jitter <= 1))
+        throw new RangeError("Jitter must be a number between 0 and 1");
+
+    return { count, delay, backoff, maxDelay, jitter, scheduler: options.scheduler };
+}
+
+function getRetryDelay(options, error, attempt) {
+
+    let delay = options.delay;
+
+    // The delay grows by the backoff factor with each attempt
+    delay = typeof delay === "function" ?
+        delay(error, attempt) :
+        delay * Math.pow(options.backoff, attempt - 1);
+
+    delay = Math.min(Number(delay) || 0, options.maxDelay);
+
+    // Jitter randomly shortens the delay by up to the given fraction
+    if (options.jitter > 0)
+        delay -= delay * options.jitter * Math.random();
+
+    return delay;
+}
+
+function getDuration(value) {
+
+    if (typeof value !== "number" || !(value >= 0))
+        throw new RangeError(value + " is not a non-negative number");
+
+    return value;
+}
+
+function getTimerScheduler(C, options) {
+
+    if (Object(options) !== options)
+        throw new TypeError(options + " is not an object");
+
+    return getScheduler(C, options.scheduler);
+}
+
+function cancelJob(cancel) {
+
+    // Cancels a job returned from Scheduler.prototype.schedule, if there is one
+    if (cancel)
+        cancel();
+}
+
+function getCount(value, name) {
+
+    if (typeof value !== "number" || !(value >= 1) || (value !== Infinity && value % 1 !== 0))
+        throw new RangeError(name + " must be a positive integer");
+
+    return value;
+}
+
+function getIndex(value, name) {
+
+    if (typeof value !== "number" || !(value >= 0) || (value !== Infinity && value % 1 !== 0))
+        throw new RangeError(name + " must be a non-negative integer");
+
+    return value;
+}
+
+function completeEarly(subscription, observer, item) {
+
+    // Unsubscribe from the source before sending anything, so that a source which is
+    // still running its subscriber function stops immediately.  The source's cleanup
+    // function is called once, either now or when the subscriber function returns.
+    subscription.unsubscribe();
+
+    if (item)
+        observer.next(item.value);
+
+    observer.complete();
+}
+
+function callHandler(handlers, name, value) {
+
+    let m = getMethod(handlers, name);
+
+    if (m)
+        m.call(handlers, value);
+}
+
+function scheduleDelivery(C, scheduler, fn) {
+
+    // As with Observable.of, notifications are sent in a single job
+    return new C(observer => scheduler.schedule(_=> {
+
+        if (!observer.closed)
+            fn(observer);
+    }));
+}
+
+function openWindow(C, observer, windows) {
+
+    // Windows are backed by subjects, but only expose the observable interface
+    let subject = new Subject();
+    windows.push(subject);
+    observer.next(new C(x => subject.subscribe(x)));
+}
+
+function subscribeEach(observer, sources, fn) {
+
+    let subscriptions = [];
+
+    // Stop subscribing if an input finishes the stream synchronously
+    for (let i = 0; i < sources.length && !observer.closed; ++i)
+        subscriptions.push(sources[i].subscribe(fn(i)));
+
+    return _=> { subscriptions.forEach(s => s.unsubscribe()) };
+}
+
+function cleanupFromSubscription(subscription) {
+    return _=> { subscription.unsubscribe() };
+}
+
+function createSubscription(observer, subscriber, signal) {
+
+    // Assert: subscriber is callable
+
+    // The observer must be an object
+    if (Object(observer) !== observer)
+        throw new TypeError("Observer must be an object");
+
+    let subscriptionObserver = new SubscriptionObserver(observer),
+        subscription = new Subscription(subscriptionObserver),
+        start = getMethod(observer, "start");
+
+    if (start)
+        start.call(observer, subscription);
+
+    if (subscriptionClosed(subscriptionObserver))
+        return subscription;
+
+    if (signal) {
+
+        // If the signal has already been aborted, then the subscriber is not called
+        if (signal.aborted) {
+
+            closeSubscription(subscriptionObserver);
+            return subscription;
+        }
+
+        let onAbort = _=> closeSubscription(subscriptionObserver);
+
+        // Stop listening for the abort signal when the subscription closes
+        signal.addEventListener("abort", onAbort);
+        addTeardown(subscriptionObserver, _=> signal.removeEventListener("abort", onAbort));
+    }
+
+    try {
+
+        // Call the subscriber function
+        let cleanup = subscriber.call(undefined, subscriptionObserver);
+
+        // The return value must be undefined, null, a subscription object, or a function
+        if (cleanup != null) {
+
+            if (typeof cleanup.unsubscribe === "function")
+                cleanup = cleanupFromSubscription(cleanup);
+            else if (typeof cleanup !== "function")
+                throw new TypeError(cleanup + " is not a function");
+
+            subscriptionObserver._cleanup = cleanup;
+        }
+
+    } catch (e) {
+
+        // If an error occurs during startup, then attempt to send the error
+        // to the observer
+        subscriptionObserver.error(e);
+        return subscription;
+    }
+
+    // If the stream is already finished, then perform cleanup
+    if (subscriptionClosed(subscriptionObserver))
+        cleanupSubscription(subscriptionObserver);
+
+    return subscription;
+}
+
+function SubscriptionObserver(observer) {
+
+    this._observer = observer;
+    this._cleanup = undefined;
+    this._teardowns = undefined;
+}
+
+SubscriptionObserver.prototype = nonEnum({
+
+    get closed() { return subscriptionClosed(this) },
+
+    next(value) {
+
+        // If the stream if closed, then return undefined
+        if (subscriptionClosed(this))
+            return undefined;
+
+        let observer = this._observer;
+
+        try {
+
+            let m = getMethod(observer, "next");
+
+            // If the observer doesn't support "next", then return undefined
+            if (!m)
+                return undefined;
+
+            // Send the next value to the sink
+            return m.call(observer, value);
+
+        } catch (e) {
+
+            // If the observer throws, then close the stream and rethrow the error
+            try { closeSubscription(this) }
+            finally { throw e }
+        }
+    },
+
+    error(value) {
+
+        // If the stream is closed, throw the error to the caller
+        if (subscriptionClosed(this))
+            throw value;
+
+        let observer = this._observer;
+        this._observer = undefined;
+
+        try {
+
+            let m = getMethod(observer, "error");
+
+            // If the sink does not support "error", then throw the error to the caller
+            if (!m)
+                throw value;
+
+            value = m.call(observer, value);
+
+        } catch (e) {
+
+            try { cleanupSubscription(this) }
+            finally { throw e }
+        }
+
+        cleanupSubscription(this);
+
+        return value;
+    },
+
+    complete(value) {
+
+        // If the stream is closed, then return undefined
+        if (subscriptionClosed(this))
+            return undefined;
+
+        let observer = this._observer;
+        this._observer = undefined;
+
+        try {
+
+            let m = getMethod(observer, "complete");
+
+            // If the sink does not support "complete", then return undefined
+            value = m ? m.call(observer, value) : undefined;
+
+        } catch (e) {
+
+            try { cleanupSubscription(this) }
+            finally { throw e }
+        }
+
+        cleanupSubscription(this);
+
+        return value;
+    },
+
+});
+
+function Subscription(observer) {
+    this._observer = observer;
+}
+
+Subscription.prototype = nonEnum({
+
+    get closed() { return subscriptionClosed(this._observer) },
+
+    unsubscribe() { closeSubscription(this._observer) },
+
+    add(teardown) { addTeardown(this._observer, teardown) },
+
+    remove(teardown) { removeTeardown(this._observer, teardown) },
+
+    [Symbol.dispose]() { closeSubscription(this._observer) },
+
+    [Symbol.asyncDispose]() {
+
+        // Wait for the cleanup function if it returns a promise
+        return new Promise(resolve => {
+            resolve(closeSubscription(this._observer));
+        }).then(_=> undefined);
+    },
+
+});
+
+// === Async Iteration ===
+
+function getBufferPolicy(options) {
+
+    if (Object(options) !== options)
+        throw new TypeError(options + " is not an object");
+
+    let policy = options.policy === undefined ? "unbounded" : options.policy,
+        size = Infinity;
+
+    switch (policy) {
+
+        case "unbounded":
+            break;
+
+        case "drop-oldest":
+            size = options.size;
+
+            if (typeof size !== "number" || !(size >= 1) || size % 1 !== 0)
+                throw new RangeError("Buffer size must be a positive integer");
+
+            break;
+
+        case "latest":
+            size = 1;
+            break;
+
+        default:
+            throw new TypeError(policy + " is not a valid buffer policy");
+    }
+
+    return size;
+}
+
+function iteratorSubscribe(iterator) {
+
+    iterator._observable.subscribe({
+
+        start(subscription) { iterator._subscription = subscription },
+
+        next(value) {
+
+            // If a consumer is already waiting, then hand the value over directly
+            if (iterator._requests.length > 0) {
+
+                iterator._requests.shift().resolve({ value, done: false });
+                return;
+            }
+
+            let buffer = iterator._buffer;
+            buffer.push(value);
+
+            // Drop the oldest buffered values when the buffer is full
+            while (buffer.length > iterator._bufferSize)
+                buffer.shift();
+        },
+
+        error(value) {
+
+            iterator._done = true;
+
+            let requests = iterator._requests;
+            iterator._requests = [];
+
+            // If nobody is waiting, then the error is delivered after the buffer drains
+            if (requests.length === 0) {
+
+                iterator._error = { value };
+                return;
+            }
+
+            requests.shift().reject(value);
+            requests.forEach(r => r.resolve({ value: undefined, done: true }));
+        },
+
+        complete() {
+
+            iterator._done = true;
+
+            let requests = iterator._requests;
+            iterator._requests = [];
+            requests.forEach(r => r.resolve({ value: undefined, done: true }));
+        },
+    });
+}
+
+function iteratorClose(iterator) {
+
+    let subscription = iterator._subscription,
+        requests = iterator._requests;
+
+    iterator._done = true;
+    iterator._buffer = [];
+    iterator._error = undefined;
+    iterator._requests = [];
+
+    if (subscription)
+        subscription.unsubscribe();
+
+    requests.forEach(r => r.resolve({ value: undefined, done: true }));
+}
+
+function ObservableAsyncIterator(observable, options) {
+
+    this._observable = observable;
+    this._bufferSize = getBufferPolicy(options);
+    this._subscription = undefined;
+    this._buffer = [];
+    this._requests = [];
+    this._error = undefined;
+    this._done = false;
+}
+
+ObservableAsyncIterator.prototype = nonEnum({
+
+    next() {
+
+        // Subscribe to the observable when the first value is requested
+        if (!this._subscription && !this._done) {
+
+            try { iteratorSubscribe(this) }
+            catch (e) { iteratorClose(this); return Promise.reject(e) }
+        }
+
+        if (this._buffer.length > 0)
+            return Promise.resolve({ value: this._buffer.shift(), done: false });
+
+        if (this._error) {
+
+            let error = this._error;
+            this._error = undefined;
+            return Promise.reject(error.value);
+        }
+
+        if (this._done)
+            return Promise.resolve({ value: undefined, done: true });
+
+        return new Promise((resolve, reject) => {
+            this._requests.push({ resolve, reject });
+        });
+    },
+
+    return(value) {
+
+        // Called when a for-await loop exits early, so cancel the subscription
+        iteratorClose(this);
+        return Promise.resolve({ value, done: true });
+    },
+
+    [Symbol.asyncIterator]() { return this },
+
+});
+
+export class Observable {
+
+    // == Fundamental ==
+
+    constructor(subscriber) {
+
+        // The stream subscriber must be a function
+        if (typeof subscriber !== "function")
+            throw new TypeError("Observable initializer must be a function");
+
+        this._subscriber = subscriber;
+    }
+
+    subscribe(observer, options = {}) {
+
+        return createSubscription(observer, this._subscriber, getSignal(options));
+    }
+
+    forEach(fn, options = {}) {
+
+        return observePromise(this, options, (resolve, reject) => {
+
+            if (typeof fn !== "function")
+                throw new TypeError(fn + " is not a function");
+
+            return {
+
+                next(value) {
+
+                    try { return fn(value) }
+                    catch (e) { reject(e) }
+                },
+
+                error: reject,
+                complete: resolve,
+            };
+        });
+    }
+
+    toPromise(options = {}) {
+
+        return promiseValue(this, options, false);
+    }
+
+    [Symbol.observable]() { return this }
+
+    [Symbol.asyncIterator](options = {}) {
+
+        return new ObservableAsyncIterator(this, options);
+    }
+
+    static get [Symbol.species]() { return this }
+
+    static get scheduler() { return defaultScheduler }
+
+    static set scheduler(value) {
+
+        // Allow subclasses to set their own default scheduler
+        Object.defineProperty(this, "scheduler", {
+            value,
+            writable: true,
+            configurable: true,
+        });
+    }
+
+    // == Derived ==
+
+    map(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => this.subscribe({
+
+            next(value) {
+
+                try { value = fn(value) }
+                catch (e) { return observer.error(e) }
+
+                return observer.next(value);
+            },
+
+            error(value) { return observer.error(value) },
+            complete(value) { return observer.complete(value) },
+        }));
+    }
+
+    filter(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => this.subscribe({
+
+            next(value) {
+
+                try { if (!fn(value)) return undefined }
+                catch (e) { return observer.error(e) }
+
+                return observer.next(value);
+            },
+
+            error(value) { return observer.error(value) },
+            complete(value) { return observer.complete(value) },
+        }));
+    }
+
+    take(count) {
+
+        count = getIndex(count, "Count");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let subscription = undefined,
+                seen = 0;
+
+            if (count === 0) {
+
+                observer.complete();
+                return undefined;
+            }
+
+            return this.subscribe({
+
+                start(s) { subscription = s },
+
+                next(value) {
+
+                    if (++seen < count)
+                        return observer.next(value);
+
+                    completeEarly(subscription, observer, { value });
+                    return undefined;
+                },
+
+                error(value) { return observer.error(value) },
+                complete(value) { return observer.complete(value) },
+            });
+        });
+    }
+
+    skip(count) {
+
+        count = getIndex(count, "Count");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let seen = 0;
+
+            return this.subscribe({
+
+                next(value) {
+
+                    if (seen < count) {
+
+                        seen++;
+                        return undefined;
+                    }
+
+                    return observer.next(value);
+                },
+
+                error(value) { return observer.error(value) },
+                complete(value) { return observer.complete(value) },
+            });
+        });
+    }
+
+    takeWhile(fn, inclusive = false) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let subscription = undefined;
+
+            return this.subscribe({
+
+                start(s) { subscription = s },
+
+                next(value) {
+
+                    try { if (fn(value)) return observer.next(value) }
+                    catch (e) { subscription.unsubscribe(); return observer.error(e) }
+
+                    // The value which fails the test is sent if inclusive is true
+                    completeEarly(subscription, observer, inclusive ? { value } : undefined);
+                    return undefined;
+                },
+
+                error(value) { return observer.error(value) },
+                complete(value) { return observer.complete(value) },
+            });
+        });
+    }
+
+    skipWhile(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let skipping = true;
+
+            return this.subscribe({
+
+                next(value) {
+
+                    if (skipping) {
+
+                        try { skipping = Boolean(fn(value)) }
+                        catch (e) { return observer.error(e) }
+
+                        if (skipping)
+                            return undefined;
+                    }
+
+                    return observer.next(value);
+                },
+
+                error(value) { return observer.error(value) },
+                complete(value) { return observer.complete(value) },
+            });
+        });
+    }
+
+    first(fn, ...args) {
+
+        if (fn != null && typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let subscription = undefined;
+
+            return this.subscribe({
+
+                start(s) { subscription = s },
+
+                next(value) {
+
+                    try { if (fn && !fn(value)) return undefined }
+                    catch (e) { subscription.unsubscribe(); return observer.error(e) }
+
+                    completeEarly(subscription, observer, { value });
+                    return undefined;
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete() {
+
+                    // If no value was found, send the default value if one was provided
+                    if (args.length === 0)
+                        return observer.error(new EmptyError());
+
+                    observer.next(args[0]);
+                    return observer.complete();
+                },
+            });
+        });
+    }
+
+    last(fn, ...args) {
+
+        if (fn != null && typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let item = args.length > 0 ? { value: args[0] } : undefined;
+
+            return this.subscribe({
+
+                next(value) {
+
+                    try { if (fn && !fn(value)) return undefined }
+                    catch (e) { return observer.error(e) }
+
+                    item = { value };
+                    return undefined;
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete(value) {
+
+                    if (!item)
+                        return observer.error(new EmptyError());
+
+                    observer.next(item.value);
+                    return observer.complete(value);
+                },
+            });
+        });
+    }
+
+    elementAt(index, ...args) {
+
+        index = getIndex(index, "Index");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let subscription = undefined,
+                seen = 0;
+
+            return this.subscribe({
+
+                start(s) { subscription = s },
+
+                next(value) {
+
+                    if (seen++ === index)
+                        completeEarly(subscription, observer, { value });
+
+                    return undefined;
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete() {
+
+                    if (args.length === 0)
+                        return observer.error(new RangeError("Index is out of range"));
+
+                    observer.next(args[0]);
+                    return observer.complete();
+                },
+            });
+        });
+    }
+
+    distinct(keySelector = undefined, options = {}) {
+
+        if (keySelector != null && typeof keySelector !== "function")
+            throw new TypeError(keySelector + " is not a function");
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options),
+            ttl = options.ttl === undefined ? Infinity : getDuration(options.ttl),
+            flush = options.flush === undefined ? undefined : Observable.from(options.flush);
+
+        return new C(observer => {
+
+            // Maps each key to the time it was first seen
+            let seen = new Map();
+
+            function prune() {
+
+                let expired = scheduler.now() - ttl;
+
+                // Keys are in insertion order, so expired keys are at the front
+                for (let [key, time] of seen) {
+
+                    if (time > expired)
+                        break;
+
+                    seen.delete(key);
+                }
+            }
+
+            let control = flush && flush.subscribe({
+                next() { seen.clear() },
+                error(value) { observer.error(value) },
+            });
+
+            let subscription = this.subscribe({
+
+                next(value) {
+
+                    let key = value;
+
+                    try { if (keySelector) key = keySelector(value) }
+                    catch (e) { return observer.error(e) }
+
+                    if (ttl !== Infinity)
+                        prune();
+
+                    if (seen.has(key))
+                        return undefined;
+
+                    seen.set(key, ttl === Infinity ? 0 : scheduler.now());
+                    return observer.next(value);
+                },
+
+                error(value) { return observer.error(value) },
+                complete(value) { return observer.complete(value) },
+            });
+
+            return _=> {
+
+                if (control)
+                    control.unsubscribe();
+
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    distinctUntilChanged(comparator = undefined, keySelector = undefined) {
+
+        if (comparator != null && typeof comparator !== "function")
+            throw new TypeError(comparator + " is not a function");
+
+        if (keySelector != null && typeof keySelector !== "function")
+            throw new TypeError(keySelector + " is not a function");
+
+        let C = getSpecies(this),
+            equals = comparator || Object.is;
+
+        return new C(observer => {
+
+            let previous = undefined;
+
+            return this.subscribe({
+
+                next(value) {
+
+                    let key = value;
+
+                    try {
+
+                        if (keySelector)
+                            key = keySelector(value);
+
+                        if (previous && equals(previous.key, key))
+                            return undefined;
+
+                    } catch (e) {
+
+                        return observer.error(e);
+                    }
+
+                    previous = { key };
+                    return observer.next(value);
+                },
+
+                error(value) { return observer.error(value) },
+                complete(value) { return observer.complete(value) },
+            });
+        });
+    }
+
+    distinctUntilKeyChanged(key, comparator = undefined) {
+
+        return this.distinctUntilChanged(comparator, value => value[key]);
+    }
+
+    groupBy(keySelector, options = {}) {
+
+        if (typeof keySelector !== "function")
+            throw new TypeError(keySelector + " is not a function");
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options),
+            duration = options.duration === undefined ? Infinity : getDuration(options.duration);
+
+        return new C(observer => {
+
+            let groups = new Map();
+
+            function closeGroup(key) {
+
+                let group = groups.get(key);
+                groups.delete(key);
+                group.subject.complete();
+            }
+
+            function finish(fn) {
+
+                let list = Array.from(groups.values());
+                groups.clear();
+
+                list.forEach(group => {
+
+                    if (group.cancel)
+                        group.cancel();
+
+                    fn(group.subject);
+                });
+            }
+
+            function fail(value) {
+
+                finish(subject => subject.error(value));
+                return observer.error(value);
+            }
+
+            let subscription = this.subscribe({
+
+                next(value) {
+
+                    let key;
+
+                    try { key = keySelector(value) }
+                    catch (e) { return fail(e) }
+
+                    let group = groups.get(key);
+
+                    if (!group) {
+
+                        // Groups are created with the species constructor, so that
+                        // subclass methods are available on each group
+                        let subject = new Subject(),
+                            observable = new C(x => subject.subscribe(x));
+
+                        observable.key = key;
+                        group = { subject, cancel: undefined };
+                        groups.set(key, group);
+                        observer.next(observable);
+                    }
+
+                    // Groups are closed after a period of inactivity
+                    if (duration !== Infinity) {
+
+                        if (group.cancel)
+                            group.cancel();
+
+                        group.cancel = scheduler.schedule(_=> closeGroup(key), duration);
+                    }
+
+                    group.subject.next(value);
+                    return undefined;
+                },
+
+                error: fail,
+
+                complete(value) {
+
+                    finish(subject => subject.complete(value));
+                    return observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                // Groups which are still open are completed when the outer
+                // subscription is cancelled, so that their observers are not abandoned
+                finish(subject => subject.complete());
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    partition(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        return [
+            this.filter(fn),
+            this.filter(value => !fn(value)),
+        ];
+    }
+
+    tap(handlers) {
+
+        // A function argument is used as the next handler
+        if (typeof handlers === "function")
+            handlers = { next: handlers };
+        else if (Object(handlers) !== handlers)
+            throw new TypeError(handlers + " is not an object");
+
+        let C = getSpecies(this);
+
+        return new C(observer => this.subscribe({
+
+            next(value) {
+
+                try { callHandler(handlers, "next", value) }
+                catch (e) { return observer.error(e) }
+
+                return observer.next(value);
+            },
+
+            error(value) {
+
+                // An error thrown by the handler replaces the original error
+                try { callHandler(handlers, "error", value) }
+                catch (e) { value = e }
+
+                return observer.error(value);
+            },
+
+            complete(value) {
+
+                try { callHandler(handlers, "complete", value) }
+                catch (e) { return observer.error(e) }
+
+                return observer.complete(value);
+            },
+        }));
+    }
+
+    finalize(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let subscription = this.subscribe(observer);
+
+            return _=> {
+
+                // The source's cleanup is run first, even if this cleanup was triggered
+                // by the source sending error or complete
+                try { closeAndCleanup(subscription) }
+                finally { fn() }
+            };
+        });
+    }
+
+    onSubscribe(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            try {
+
+                fn();
+
+            } catch (e) {
+
+                observer.error(e);
+                return undefined;
+            }
+
+            return this.subscribe(observer);
+        });
+    }
+
+    materialize() {
+
+        let C = getSpecies(this);
+
+        return new C(observer => this.subscribe({
+
+            next(value) { return observer.next(Notification.next(value)) },
+
+            error(value) {
+
+                observer.next(Notification.error(value));
+                return observer.complete();
+            },
+
+            complete(value) {
+
+                observer.next(Notification.complete(value));
+                return observer.complete();
+            },
+        }));
+    }
+
+    dematerialize() {
+
+        let C = getSpecies(this);
+
+        return new C(observer => this.subscribe({
+
+            next(value) {
+
+                // Plain objects with kind and value properties are accepted, so that
+                // stored or transmitted notifications may be replayed
+                let name;
+
+                try { name = getNotificationMethod(value) }
+                catch (e) { return observer.error(e) }
+
+                return observer[name](value.value);
+            },
+
+            error(value) { return observer.error(value) },
+            complete(value) { return observer.complete(value) },
+        }));
+    }
+
+    switchMap(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let inner = undefined,
+                outerDone = false,
+                outerValue = undefined;
+
+            let outer = this.subscribe({
+
+                next(value) {
+
+                    let source;
+
+                    try { source = Observable.from(fn(value)) }
+                    catch (e) { return observer.error(e) }
+
+                    // Cancel the previous inner subscription before starting the next one
+                    if (inner)
+                        inner.unsubscribe();
+
+                    source.subscribe({
+
+                        start(s) { inner = s },
+                        next(x) { return observer.next(x) },
+                        error(x) { return observer.error(x) },
+
+                        complete() {
+
+                            inner = undefined;
+
+                            // The result completes when both the outer and inner streams are done
+                            if (outerDone)
+                                observer.complete(outerValue);
+                        },
+                    });
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete(value) {
+
+                    outerDone = true;
+                    outerValue = value;
+
+                    if (!inner)
+                        return observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                if (inner)
+                    inner.unsubscribe();
+
+                outer.unsubscribe();
+            };
+        });
+    }
+
+    switchAll() {
+
+        return this.switchMap(x => x);
+    }
+
+    takeUntil(notifier) {
+
+        notifier = Observable.from(notifier);
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            // Subscribe to the notifier first, so that a synchronous notification
+            // prevents subscription to the source
+            let control = notifier.subscribe({
+                next() { observer.complete() },
+                error(value) { observer.error(value) },
+            });
+
+            if (observer.closed)
+                return control;
+
+            let source = this.subscribe(observer);
+
+            return _=> {
+
+                control.unsubscribe();
+                source.unsubscribe();
+            };
+        });
+    }
+
+    mergeMap(fn, concurrency = Infinity) {
+
+        return flattenMap(this, fn, getConcurrency(concurrency), false);
+    }
+
+    concatMap(fn) {
+
+        return flattenMap(this, fn, 1, false);
+    }
+
+    exhaustMap(fn) {
+
+        return flattenMap(this, fn, 1, true);
+    }
+
+    reduce(fn, ...args) {
+
+        return accumulate(this, fn, args, false);
+    }
+
+    scan(fn, ...args) {
+
+        return accumulate(this, fn, args, true);
+    }
+
+    toArray() {
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let values = [];
+
+            return this.subscribe({
+
+                next(value) { values.push(value) },
+                error(value) { return observer.error(value) },
+
+                complete() {
+
+                    observer.next(values);
+                    return observer.complete(values);
+                },
+            });
+        });
+    }
+
+    count(fn) {
+
+        if (fn !== undefined && typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let count = 0;
+
+            return this.subscribe({
+
+                next(value) {
+
+                    try { if (!fn || fn(value)) count++ }
+                    catch (e) { return observer.error(e) }
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete() {
+
+                    observer.next(count);
+                    return observer.complete(count);
+                },
+            });
+        });
+    }
+
+    catch(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let replacement = undefined;
+
+            let cleanup = recoverFrom(this, observer, error => {
+
+                let source;
+
+                try { source = Observable.from(fn(error)) }
+                catch (e) { observer.error(e); return false }
+
+                // Switch to the replacement observable
+                replacement = source.subscribe(observer);
+                return false;
+            });
+
+            return _=> {
+
+                cleanup();
+
+                if (replacement)
+                    replacement.unsubscribe();
+            };
+        });
+    }
+
+    retry(options = {}) {
+
+        options = getRetryOptions(options);
+
+        let C = getSpecies(this),
+            scheduler = getScheduler(C, options.scheduler);
+
+        return new C(observer => {
+
+            let attempts = 0,
+                cancelDelay = undefined;
+
+            let cleanup = recoverFrom(this, observer, (error, resubscribe) => {
+
+                if (attempts >= options.count) {
+
+                    observer.error(error);
+                    return false;
+                }
+
+                let delay = getRetryDelay(options, error, ++attempts);
+
+                if (delay <= 0)
+                    return true;
+
+                cancelDelay = scheduler.schedule(_=> {
+
+                    cancelDelay = undefined;
+                    resubscribe();
+
+                }, delay);
+
+                return false;
+            });
+
+            return _=> {
+
+                if (cancelDelay)
+                    cancelDelay();
+
+                cleanup();
+            };
+        });
+    }
+
+    retryWhen(fn) {
+
+        if (typeof fn !== "function")
+            throw new TypeError(fn + " is not a function");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let errors = new Subject(),
+                resubscribe = undefined;
+
+            // Each value from the notifier resubscribes to the failed source
+            let control = Observable.from(fn(errors)).subscribe({
+
+                next() {
+
+                    let subscribe = resubscribe;
+                    resubscribe = undefined;
+
+                    if (subscribe)
+                        subscribe();
+                },
+
+                error(value) { observer.error(value) },
+                complete(value) { observer.complete(value) },
+            });
+
+            let cleanup = recoverFrom(this, observer, (error, subscribe) => {
+
+                resubscribe = subscribe;
+                errors.next(error);
+                return false;
+            });
+
+            return _=> {
+
+                control.unsubscribe();
+                cleanup();
+            };
+        });
+    }
+
+    debounce(dueTime, options = {}) {
+
+        dueTime = getDuration(dueTime);
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options);
+
+        return new C(observer => {
+
+            let pending = undefined,
+                cancel = undefined;
+
+            function flush() {
+
+                let item = pending;
+                pending = undefined;
+                cancel = undefined;
+
+                if (item)
+                    observer.next(item.value);
+            }
+
+            let subscription = this.subscribe({
+
+                next(value) {
+
+                    // Each value restarts the timer
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    pending = { value };
+                    cancel = scheduler.schedule(flush, dueTime);
+                },
+
+                error(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    // A pending value is sent before completing
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    flush();
+                    observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    throttle(duration, options = {}) {
+
+        duration = getDuration(duration);
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options),
+            leading = options.leading === undefined ? true : Boolean(options.leading),
+            trailing = Boolean(options.trailing);
+
+        return new C(observer => {
+
+            let pending = undefined,
+                cancel = undefined;
+
+            function start() {
+
+                cancel = scheduler.schedule(end, duration);
+            }
+
+            function end() {
+
+                cancel = undefined;
+
+                if (!pending)
+                    return;
+
+                let item = pending;
+                pending = undefined;
+
+                // Sending a trailing value starts a new throttling period
+                start();
+                observer.next(item.value);
+            }
+
+            let subscription = this.subscribe({
+
+                next(value) {
+
+                    if (cancel) {
+
+                        if (trailing)
+                            pending = { value };
+
+                        return;
+                    }
+
+                    start();
+
+                    if (leading)
+                        observer.next(value);
+                    else if (trailing)
+                        pending = { value };
+                },
+
+                error(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+
+                    let item = pending;
+                    pending = undefined;
+
+                    if (item)
+                        observer.next(item.value);
+
+                    observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    delay(dueTime, options = {}) {
+
+        dueTime = getDuration(dueTime);
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options);
+
+        return new C(observer => {
+
+            let queue = [],
+                cancel = undefined;
+
+            function drain() {
+
+                cancel = undefined;
+
+                let now = scheduler.now();
+
+                while (queue.length > 0 && queue[0].time <= now) {
+
+                    let item = queue.shift();
+
+                    if (item.done) {
+
+                        observer.complete(item.value);
+                        return;
+                    }
+
+                    observer.next(item.value);
+                }
+
+                if (queue.length > 0 && !observer.closed)
+                    cancel = scheduler.schedule(drain, queue[0].time - now);
+            }
+
+            function push(item) {
+
+                item.time = scheduler.now() + dueTime;
+                queue.push(item);
+
+                if (!cancel)
+                    cancel = scheduler.schedule(drain, dueTime);
+            }
+
+            let subscription = this.subscribe({
+
+                next(value) { push({ value, done: false }) },
+                complete(value) { push({ value, done: true }) },
+
+                error(value) {
+
+                    // Errors are not delayed
+                    queue = [];
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.error(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    timeout(dueTime, options = {}) {
+
+        dueTime = getDuration(dueTime);
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options),
+            fallback = options.fallback === undefined ? undefined : Observable.from(options.fallback);
+
+        return new C(observer => {
+
+            let subscription = undefined,
+                replacement = undefined,
+                cancel = undefined;
+
+            function start() {
+
+                cancel = scheduler.schedule(_=> {
+
+                    cancel = undefined;
+
+                    if (subscription)
+                        subscription.unsubscribe();
+
+                    if (fallback)
+                        replacement = fallback.subscribe(observer);
+                    else
+                        observer.error(new TimeoutError());
+
+                }, dueTime);
+            }
+
+            start();
+
+            subscription = this.subscribe({
+
+                next(value) {
+
+                    // The timer is restarted after each value
+                    if (cancel) {
+
+                        cancelJob(cancel);
+                        cancel = undefined;
+                        start();
+                    }
+
+                    observer.next(value);
+                },
+
+                error(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+
+                if (replacement)
+                    replacement.unsubscribe();
+            };
+        });
+    }
+
+    auditTime(duration, options = {}) {
+
+        duration = getDuration(duration);
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options);
+
+        return new C(observer => {
+
+            let pending = undefined,
+                cancel = undefined;
+
+            function flush() {
+
+                let item = pending;
+                pending = undefined;
+                cancel = undefined;
+
+                if (item)
+                    observer.next(item.value);
+            }
+
+            let subscription = this.subscribe({
+
+                next(value) {
+
+                    // The most recent value is sent when the timer ends
+                    pending = { value };
+
+                    if (!cancel)
+                        cancel = scheduler.schedule(flush, duration);
+                },
+
+                error(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    flush();
+                    observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    sampleTime(period, options = {}) {
+
+        period = getDuration(period);
+
+        if (period === 0)
+            throw new RangeError("Sample period must be greater than zero");
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options);
+
+        return new C(observer => {
+
+            let pending = undefined,
+                cancel = undefined;
+
+            function tick() {
+
+                cancel = scheduler.schedule(tick, period);
+
+                let item = pending;
+                pending = undefined;
+
+                // Only values received since the last sample are sent
+                if (item)
+                    observer.next(item.value);
+            }
+
+            cancel = scheduler.schedule(tick, period);
+
+            let subscription = this.subscribe({
+
+                next(value) { pending = { value } },
+
+                error(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    buffer(notifier) {
+
+        notifier = Observable.from(notifier);
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let buffer = [];
+
+            let subscription = this.subscribe({
+
+                next(value) { buffer.push(value) },
+                error(value) { observer.error(value) },
+
+                complete(value) {
+
+                    if (buffer.length > 0)
+                        observer.next(buffer);
+
+                    observer.complete(value);
+                },
+            });
+
+            let control = notifier.subscribe({
+
+                next() {
+
+                    let values = buffer;
+                    buffer = [];
+                    observer.next(values);
+                },
+
+                error(value) { observer.error(value) },
+            });
+
+            return _=> {
+
+                control.unsubscribe();
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    bufferCount(size, every = size) {
+
+        size = getCount(size, "Buffer size");
+        every = getCount(every, "Buffer interval");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let buffers = [],
+                count = 0;
+
+            return this.subscribe({
+
+                next(value) {
+
+                    // A new buffer is started every `every` values
+                    if (count++ % every === 0)
+                        buffers.push([]);
+
+                    for (let i = 0; i < buffers.length; ++i)
+                        buffers[i].push(value);
+
+                    while (buffers.length > 0 && buffers[0].length >= size)
+                        observer.next(buffers.shift());
+                },
+
+                error(value) { observer.error(value) },
+
+                complete(value) {
+
+                    while (buffers.length > 0)
+                        observer.next(buffers.shift());
+
+                    observer.complete(value);
+                },
+            });
+        });
+    }
+
+    bufferTime(duration, maxSize = Infinity, options = {}) {
+
+        duration = getDuration(duration);
+        maxSize = getCount(maxSize, "Maximum buffer size");
+
+        if (duration === 0)
+            throw new RangeError("Buffer duration must be greater than zero");
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options);
+
+        return new C(observer => {
+
+            let buffer = [],
+                cancel = undefined;
+
+            function flush() {
+
+                let values = buffer;
+                buffer = [];
+
+                // The next buffer gets a full period
+                cancel = scheduler.schedule(flush, duration);
+                observer.next(values);
+            }
+
+            cancel = scheduler.schedule(flush, duration);
+
+            let subscription = this.subscribe({
+
+                next(value) {
+
+                    buffer.push(value);
+
+                    if (buffer.length >= maxSize) {
+
+                        cancelJob(cancel);
+                        cancel = undefined;
+                        flush();
+                    }
+                },
+
+                error(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+
+                    if (buffer.length > 0)
+                        observer.next(buffer);
+
+                    observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    window(notifier) {
+
+        notifier = Observable.from(notifier);
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let windows = [];
+
+            openWindow(C, observer, windows);
+
+            let subscription = this.subscribe({
+
+                next(value) { windows[0].next(value) },
+
+                error(value) {
+
+                    windows.shift().error(value);
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    windows.shift().complete(value);
+                    observer.complete(value);
+                },
+            });
+
+            let control = notifier.subscribe({
+
+                next() {
+
+                    if (windows.length === 0)
+                        return;
+
+                    windows.shift().complete();
+                    openWindow(C, observer, windows);
+                },
+
+                error(value) {
+
+                    if (windows.length > 0)
+                        windows.shift().error(value);
+
+                    observer.error(value);
+                },
+            });
+
+            return _=> {
+
+                control.unsubscribe();
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    windowCount(size, every = size) {
+
+        size = getCount(size, "Window size");
+        every = getCount(every, "Window interval");
+
+        let C = getSpecies(this);
+
+        return new C(observer => {
+
+            let windows = [],
+                count = 0;
+
+            openWindow(C, observer, windows);
+
+            return this.subscribe({
+
+                next(value) {
+
+                    let open = windows.slice();
+
+                    for (let i = 0; i < open.length; ++i)
+                        open[i].next(value);
+
+                    // The oldest window closes once it has received `size` values
+                    let closing = count - size + 1;
+
+                    if (closing >= 0 && closing % every === 0 && windows.length > 0)
+                        windows.shift().complete();
+
+                    if (++count % every === 0)
+                        openWindow(C, observer, windows);
+                },
+
+                error(value) {
+
+                    while (windows.length > 0)
+                        windows.shift().error(value);
+
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    while (windows.length > 0)
+                        windows.shift().complete(value);
+
+                    observer.complete(value);
+                },
+            });
+        });
+    }
+
+    windowTime(duration, maxSize = Infinity, options = {}) {
+
+        duration = getDuration(duration);
+        maxSize = getCount(maxSize, "Maximum window size");
+
+        if (duration === 0)
+            throw new RangeError("Window duration must be greater than zero");
+
+        let C = getSpecies(this),
+            scheduler = getTimerScheduler(C, options);
+
+        return new C(observer => {
+
+            let windows = [],
+                count = 0,
+                cancel = undefined;
+
+            function rotate() {
+
+                count = 0;
+                windows.shift().complete();
+
+                // The next window gets a full period
+                cancel = scheduler.schedule(rotate, duration);
+                openWindow(C, observer, windows);
+            }
+
+            cancel = scheduler.schedule(rotate, duration);
+            openWindow(C, observer, windows);
+
+            let subscription = this.subscribe({
+
+                next(value) {
+
+                    windows[0].next(value);
+
+                    if (++count >= maxSize) {
+
+                        cancelJob(cancel);
+                        cancel = undefined;
+                        rotate();
+                    }
+                },
+
+                error(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    windows.shift().error(value);
+                    observer.error(value);
+                },
+
+                complete(value) {
+
+                    cancelJob(cancel);
+                    cancel = undefined;
+                    windows.shift().complete(value);
+                    observer.complete(value);
+                },
+            });
+
+            return _=> {
+
+                cancelJob(cancel);
+                cancel = undefined;
+                subscription.unsubscribe();
+            };
+        });
+    }
+
+    publish(subjectFactory) {
+
+        return new ConnectableObservable(this, subjectFactory);
+    }
+
+    share(options = {}) {
+
+        if (Object(options) !== options)
+            throw new TypeError(options + " is not an object");
+
+        let C = getSpecies(this),
+            connectable = new ConnectableObservable(this, options.subjectFactory);
+
+        return refCountObservable(connectable, C, options.restart);
+    }
+
+    static from(x, options = {}) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        if (x == null)
+            throw new TypeError(x + " is not an object");
+
+        if (Object(options) !== options)
+            throw new TypeError(options + " is not an object");
+
+        let scheduler = getScheduler(C, options.scheduler);
+
+        let method = getMethod(x, Symbol.observable);
+
+        if (method) {
+
+            let observable = method.call(x);
+
+            if (Object(observable) !== observable)
+                throw new TypeError(observable + " is not an object");
+
+            if (observable.constructor === C)
+                return observable;
+
+            return new C(observer => observable.subscribe(observer));
+        }
+
+        method = getMethod(x, Symbol.asyncIterator);
+
+        if (method) {
+
+            return new C(observer => {
+
+                let iterator = method.call(x),
+                    done = false;
+
+                function pull() {
+
+                    // Request one item at a time, waiting for the previous item to be
+                    // delivered before requesting the next
+                    new Promise(resolve => resolve(iterator.next())).then(result => {
+
+                        if (done)
+                            return;
+
+                        if (Object(result) !== result)
+                            throw new TypeError(result + " is not an object");
+
+                        if (result.done) {
+
+                            done = true;
+                            observer.complete();
+                            return;
+                        }
+
+                        observer.next(result.value);
+
+                        if (!observer.closed)
+                            pull();
+
+                    }).then(null, e => {
+
+                        if (done)
+                            return;
+
+                        done = true;
+                        observer.error(e);
+
+                    }).then(null, ignoreError);
+                }
+
+                pull();
+
+                return _=> {
+
+                    if (done)
+                        return;
+
+                    // Allow the iterator to release its resources when the subscription
+                    // is cancelled
+                    done = true;
+
+                    let m = getMethod(iterator, "return");
+
+                    // The subscription is already closed, so a rejection from return
+                    // has nowhere to go
+                    if (m)
+                        Promise.resolve(m.call(iterator)).then(null, ignoreError);
+                };
+            });
+        }
+
+        if (typeof x.then === "function") {
+
+            return new C(observer => {
+
+                // An observer which throws is closed, and there is no caller to
+                // receive the error
+                Promise.resolve(x.then(value => {
+
+                    if (observer.closed)
+                        return;
+
+                    observer.next(value);
+                    observer.complete();
+
+                }, e => {
+
+                    if (!observer.closed)
+                        observer.error(e);
+
+                })).then(null, ignoreError);
+            });
+        }
+
+        // TODO: Should we check for a Symbol.iterator method here?
+
+        return new C(observer => {
+
+            return scheduler.schedule(_=> {
+
+                if (observer.closed)
+                    return;
+
+                // Assume that the object is iterable.  If not, then the observer
+                // will receive an error.
+                try {
+
+                    for (let item of x) {
+
+                        observer.next(item);
+
+                        if (observer.closed)
+                            return;
+                    }
+
+                } catch (e) {
+
+                    // If observer.next throws an error, then the subscription will
+                    // be closed and the error method will simply rethrow
+                    observer.error(e);
+                    return;
+                }
+
+                observer.complete();
+            });
+        });
+    }
+
+    static merge(...sources) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        sources = sources.map(x => Observable.from(x));
+
+        return new C(observer => {
+
+            let remaining = sources.length,
+                completions = new Array(sources.length);
+
+            // Completes with the completion value of each input, in input order
+            if (remaining === 0) {
+
+                observer.complete(completions);
+                return undefined;
+            }
+
+            return subscribeEach(observer, sources, i => ({
+
+                next(value) { return observer.next(value) },
+                error(value) { return observer.error(value) },
+
+                complete(value) {
+
+                    completions[i] = value;
+
+                    if (--remaining === 0)
+                        return observer.complete(completions);
+                },
+            }));
+        });
+    }
+
+    static concat(...sources) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        sources = sources.map(x => Observable.from(x));
+
+        return new C(observer => {
+
+            let subscription = undefined;
+
+            function subscribeAt(index, completion) {
+
+                // Completes with the completion value of the last input
+                if (index >= sources.length) {
+
+                    observer.complete(completion);
+                    return;
+                }
+
+                sources[index].subscribe({
+
+                    start(s) { subscription = s },
+                    next(value) { return observer.next(value) },
+                    error(value) { return observer.error(value) },
+                    complete(value) { subscribeAt(index + 1, value) },
+                });
+            }
+
+            subscribeAt(0, undefined);
+
+            return _=> {
+
+                if (subscription)
+                    subscription.unsubscribe();
+            };
+        });
+    }
+
+    static combineLatest(...sources) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        sources = sources.map(x => Observable.from(x));
+
+        return new C(observer => {
+
+            let values = new Array(sources.length),
+                completions = new Array(sources.length),
+                seen = new Array(sources.length).fill(false),
+                waiting = sources.length,
+                remaining = sources.length;
+
+            // Completes with the completion value of each input, in input order
+            if (remaining === 0) {
+
+                observer.complete(completions);
+                return undefined;
+            }
+
+            return subscribeEach(observer, sources, i => ({
+
+                next(value) {
+
+                    values[i] = value;
+
+                    if (!seen[i]) {
+
+                        seen[i] = true;
+                        waiting--;
+                    }
+
+                    // Values are sent once every input has sent a value
+                    if (waiting === 0)
+                        return observer.next(values.slice(0));
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete(value) {
+
+                    completions[i] = value;
+
+                    // If an input finishes without sending a value, then no combined
+                    // values can be sent
+                    if (--remaining === 0 || !seen[i])
+                        return observer.complete(completions);
+                },
+            }));
+        });
+    }
+
+    static zip(...sources) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        sources = sources.map(x => Observable.from(x));
+
+        return new C(observer => {
+
+            let buffers = sources.map(_=> []),
+                done = new Array(sources.length).fill(false);
+
+            if (sources.length === 0) {
+
+                observer.complete();
+                return undefined;
+            }
+
+            // Completes with the completion value of the input which ends the zip,
+            // once that input's buffered values have all been paired
+            function completeIfDone(i) {
+
+                if (done[i] && buffers[i].length === 0)
+                    observer.complete(done[i].value);
+            }
+
+            return subscribeEach(observer, sources, i => ({
+
+                next(value) {
+
+                    buffers[i].push(value);
+
+                    if (buffers.some(b => b.length === 0))
+                        return undefined;
+
+                    let result = observer.next(buffers.map(b => b.shift()));
+
+                    for (let j = 0; j < buffers.length && !observer.closed; ++j)
+                        completeIfDone(j);
+
+                    return result;
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete(value) {
+
+                    done[i] = { value };
+                    completeIfDone(i);
+                },
+            }));
+        });
+    }
+
+    static race(...sources) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        sources = sources.map(x => Observable.from(x));
+
+        return new C(observer => {
+
+            let subscriptions = [],
+                winner = -1;
+
+            // The first input to send any notification wins, and the others are cancelled
+            function win(i) {
+
+                if (winner === -1) {
+
+                    winner = i;
+
+                    subscriptions.forEach((s, j) => {
+                        if (j !== i) s.unsubscribe();
+                    });
+                }
+
+                return winner === i;
+            }
+
+            for (let i = 0; i < sources.length && winner === -1; ++i) {
+
+                sources[i].subscribe({
+
+                    start(s) { subscriptions[i] = s },
+                    next(value) { if (win(i)) return observer.next(value) },
+                    error(value) { if (win(i)) return observer.error(value) },
+                    complete(value) { if (win(i)) return observer.complete(value) },
+                });
+            }
+
+            return _=> { subscriptions.forEach(s => s.unsubscribe()) };
+        });
+    }
+
+    static forkJoin(...sources) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        sources = sources.map(x => Observable.from(x));
+
+        return new C(observer => {
+
+            let values = new Array(sources.length),
+                completions = new Array(sources.length),
+                seen = new Array(sources.length).fill(false),
+                remaining = sources.length;
+
+            if (remaining === 0) {
+
+                observer.complete(completions);
+                return undefined;
+            }
+
+            return subscribeEach(observer, sources, i => ({
+
+                next(value) {
+
+                    values[i] = value;
+                    seen[i] = true;
+                },
+
+                error(value) { return observer.error(value) },
+
+                complete(value) {
+
+                    completions[i] = value;
+
+                    // If an input finishes without sending a value, then the result
+                    // completes without sending a value
+                    if (!seen[i])
+                        return observer.complete(completions);
+
+                    if (--remaining > 0)
+                        return undefined;
+
+                    // Sends the last value of each input, then completes with the
+                    // completion value of each input
+                    observer.next(values);
+                    return observer.complete(completions);
+                },
+            }));
+        });
+    }
+
+    static firstValueFrom(x, options = {}) {
+
+        return promiseValue(Observable.from(x), options, true);
+    }
+
+    static lastValueFrom(x, options = {}) {
+
+        return promiseValue(Observable.from(x), options, false);
+    }
+
+    static using(resourceFactory, observableFactory) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        if (typeof resourceFactory !== "function")
+            throw new TypeError(resourceFactory + " is not a function");
+
+        if (typeof observableFactory !== "function")
+            throw new TypeError(observableFactory + " is not a function");
+
+        return new C(observer => {
+
+            // Create a resource for each subscription
+            let resource = resourceFactory(),
+                subscription;
+
+            try {
+
+                subscription = Observable.from(observableFactory(resource)).subscribe(observer);
+
+            } catch (e) {
+
+                disposeResource(resource);
+                throw e;
+            }
+
+            // The resource is disposed after the inner subscription is cleaned up
+            return _=> {
+
+                try {
+
+                    subscription.unsubscribe();
+
+                } catch (e) {
+
+                    disposeResource(resource);
+                    throw e;
+                }
+
+                return disposeResource(resource);
+            };
+        });
+    }
+
+    static timer(dueTime, period = undefined, options = {}) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        // A Date may be given as the time of the first value
+        if (dueTime instanceof Date)
+            dueTime = Math.max(0, dueTime.getTime() - Date.now());
+
+        dueTime = getDuration(dueTime);
+
+        if (period !== undefined && getDuration(period) === 0)
+            throw new RangeError("Timer period must be greater than zero");
+
+        let scheduler = getTimerScheduler(C, options);
+
+        return new C(observer => {
+
+            let start = scheduler.now() + dueTime,
+                count = 0,
+                cancel = undefined;
+
+            function tick() {
+
+                observer.next(count++);
+
+                if (period === undefined) {
+
+                    observer.complete();
+                    return;
+                }
+
+                if (observer.closed)
+                    return;
+
+                // Each delay is measured from the start time so that the timer
+                // does not drift
+                let delay = start + count * period - scheduler.now();
+                cancel = scheduler.schedule(tick, Math.max(0, delay));
+            }
+
+            cancel = scheduler.schedule(tick, dueTime);
+
+            return _=> cancel();
+        });
+    }
+
+    static interval(period, options = {}) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        return Observable.timer.call(C, period, period, options);
+    }
+
+    static animationFrames(options = {}) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        if (Object(options) !== options)
+            throw new TypeError(options + " is not an object");
+
+        // Frames are scheduled with the animation frame scheduler unless another is given
+        let scheduler = options.scheduler === undefined ?
+            animationFrameScheduler :
+            getScheduler(C, options.scheduler);
+
+        // Other schedulers do not wait for a frame, so jobs are spaced by a frame duration
+        let delay = scheduler === animationFrameScheduler ? 0 : frameDuration;
+
+        return new C(observer => {
+
+            let start = scheduler.now(),
+                cancel = undefined;
+
+            function frame(timestamp) {
+
+                // Schedulers which do not supply a frame timestamp use their own clock
+                if (typeof timestamp !== "number")
+                    timestamp = scheduler.now();
+
+                cancel = scheduler.schedule(frame, delay);
+                observer.next({ timestamp, elapsed: timestamp - start });
+            }
+
+            cancel = scheduler.schedule(frame, delay);
+
+            return _=> cancel();
+        });
+    }
+
+    static defer(factory) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        if (typeof factory !== "function")
+            throw new TypeError(factory + " is not a function");
+
+        return new C(observer => {
+
+            let source;
+
+            try {
+
+                source = Observable.from(factory());
+
+            } catch (e) {
+
+                observer.error(e);
+                return undefined;
+            }
+
+            return source.subscribe(observer);
+        });
+    }
+
+    static empty(options = {}) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        return scheduleDelivery(C, getTimerScheduler(C, options), observer => {
+
+            observer.complete();
+        });
+    }
+
+    static never() {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        return new C(_=> undefined);
+    }
+
+    static throwError(error, options = {}) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        return scheduleDelivery(C, getTimerScheduler(C, options), observer => {
+
+            let value = error;
+
+            // A function argument is called to create the error for each subscription
+            if (typeof error === "function") {
+
+                try { value = error() }
+                catch (e) { value = e }
+            }
+
+            observer.error(value);
+        });
+    }
+
+    static range(start, count, options = {}) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        if (typeof start !== "number" || !isFinite(start))
+            throw new TypeError(start + " is not a finite number");
+
+        count = getIndex(count, "Count");
+
+        return scheduleDelivery(C, getTimerScheduler(C, options), observer => {
+
+            for (let i = 0; i < count; ++i) {
+
+                observer.next(start + i);
+
+                if (observer.closed)
+                    return;
+            }
+
+            observer.complete();
+        });
+    }
+
+    static generate(options) {
+
+        let C = typeof this === "function" ? this : Observable;
+
+        if (Object(options) !== options)
+            throw new TypeError(options + " is not an object");
+
+        let { initial, condition, iterate } = options;
+
+        if (condition != null && typeof condition !== "function")
+            throw new TypeError(condition + " is not a function");
+
+        if (typeof iterate !== "function")
+            throw new TypeError(iterate + " is not a function");
+
+        return scheduleDelivery(C, getScheduler(C, options.scheduler), observer => {
+
+            let state = initial;
+
+            while (true) {
+
+                try {
+
+                    // Without a condition, values are sent until unsubscribed
+                    if (condition && !condition(state))
+                        break;
+
+                } catch (e) {
+
+                    observer.error(e);
+                    return;
+                }
+
+                observer.next(state);
+
+                if (observer.closed)
+                    return;
+
+                try {
+
+                    state = iterate(state);
+
+                } catch (e) {
+
+                    observer.error(e);
+                    return;
+                }
+            }
+
+            observer.complete();
+        });
+    }
+
+    static of(...items) {
+
+        let C = typeof this === "function" ? this : Observable,
+            scheduler = getScheduler(C);
+
+        return new C(observer => {
+
+            return scheduler.schedule(_=> {
 
-    if (Observer) {
+                if (observer.closed)
+                    return;
 
-        let div = document.createElement("div"),
-            twiddle = _=> div.classList.toggle("x"),
-            queue = [];
+                for (let i = 0; i < items.length; ++i) {
 
-        let observer = new Observer(_=> {
+                    observer.next(items[i]);
 
-            if (queue.length > 1)
-                twiddle();
+                    if (observer.closed)
+                        return;
+                }
 
-            while (queue.length > 0)
-                queue.shift()();
+                observer.complete();
+            });
         });
+    }
 
-        observer.observe(div, { attributes: true });
-
-        return fn => {
+}
 
-            queue.push(fn);
+// === Notifications ===
 
-            if (queue.length === 1)
-                twiddle();
-        };
-    }
+const notificationMethods = { N: "next", E: "error", C: "complete" };
 
-    // Fallback
-    return fn => { setTimeout(fn, 0) };
+function getNotificationMethod(notification) {
 
-})();
+    if (Object(notification) !== notification)
+        throw new TypeError(notification + " is not an object");
 
-// === Symbol Polyfills ===
+    let kind = notification.kind;
 
-function polyfillSymbol(name) {
+    if (typeof kind !== "string" || !notificationMethods.hasOwnProperty(kind))
+        throw new TypeError(kind + " is not a notification kind");
 
-    if (!Symbol[name])
-        Object.defineProperty(Symbol, name, { value: Symbol(name) });
+    return notificationMethods[kind];
 }
 
-polyfillSymbol("observable");
-
-// === Abstract Operations ===
-
-function nonEnum(obj) {
+function acceptNotification(notification, observer) {
 
-    Object.getOwnPropertyNames(obj).forEach(k => {
-        Object.defineProperty(obj, k, { enumerable: false });
-    });
+    let m = getMethod(observer, getNotificationMethod(notification));
 
-    return obj;
+    return m ? m.call(observer, notification.value) : undefined;
 }
 
-function getMethod(obj, key) {
+export class Notification {
 
-    let value = obj[key];
+    constructor(kind, value) {
 
-    if (value == null)
-        return undefined;
+        getNotificationMethod({ kind });
 
-    if (typeof value !== "function")
-        throw new TypeError(value + " is not a function");
+        this.kind = kind;
+        this.value = value;
+    }
 
-    return value;
-}
+    accept(observer) {
 
-function cleanupSubscription(observer) {
+        if (Object(observer) !== observer)
+            throw new TypeError(observer + " is not an object");
 
-    // Assert:  observer._observer is undefined
+        return acceptNotification(this, observer);
+    }
 
-    let cleanup = observer._cleanup;
+    static next(value) { return new Notification("N", value) }
 
-    if (!cleanup)
-        return;
+    static error(value) { return new Notification("E", value) }
 
-    // Drop the reference to the cleanup function so that we won't call it
-    // more than once
-    observer._cleanup = undefined;
+    static complete(value) { return new Notification("C", value) }
 
-    // Call the cleanup function
-    cleanup();
 }
 
-function subscriptionClosed(observer) {
+// === Subjects ===
 
-    return observer._observer === undefined;
-}
+function subjectSubscribe(subject, observer) {
 
-function closeSubscription(observer) {
+    // Send any values retained by the subject before subscribing
+    if (subject._replay)
+        subject._replay(observer);
 
-    if (subscriptionClosed(observer))
-        return;
+    if (observer.closed)
+        return undefined;
 
-    observer._observer = undefined;
-    cleanupSubscription(observer);
-}
+    let done = subject._done;
 
-function cleanupFromSubscription(subscription) {
-    return _=> { subscription.unsubscribe() };
-}
+    // If the subject has already finished, then finish the new observer
+    if (done) {
 
-function createSubscription(observer, subscriber) {
+        if (done.error) observer.error(done.value);
+        else observer.complete(done.value);
 
-    // Assert: subscriber is callable
+        return undefined;
+    }
 
-    // The observer must be an object
-    if (Object(observer) !== observer)
-        throw new TypeError("Observer must be an object");
+    subject._observers.add(observer);
 
-    let subscriptionObserver = new SubscriptionObserver(observer),
-        subscription = new Subscription(subscriptionObserver),
-        start = getMethod(observer, "start");
+    return _=> { subject._observers.delete(observer) };
+}
 
-    if (start)
-        start.call(observer, subscription);
+function subjectNotify(observers, fn) {
 
-    if (subscriptionClosed(subscriptionObserver))
-        return subscription;
+    let thrown = undefined;
 
-    try {
+    // Every observer is notified, even if an earlier observer throws
+    observers.forEach(observer => {
 
-        // Call the subscriber function
-        let cleanup = subscriber.call(undefined, subscriptionObserver);
+        try { fn(observer) }
+        catch (e) { if (!thrown) thrown = { value: e } }
+    });
 
-        // The return value must be undefined, null, a subscription object, or a function
-        if (cleanup != null) {
+    if (thrown)
+        throw thrown.value;
+}
 
-            if (typeof cleanup.unsubscribe === "function")
-                cleanup = cleanupFromSubscription(cleanup);
-            else if (typeof cleanup !== "function")
-                throw new TypeError(cleanup + " is not a function");
+function subjectFinish(subject, error, value) {
 
-            subscriptionObserver._cleanup = cleanup;
-        }
+    // If the subject is closed, throw errors to the caller like SubscriptionObserver
+    if (subject._done) {
 
-    } catch (e) {
+        if (error)
+            throw value;
 
-        // If an error occurs during startup, then attempt to send the error
-        // to the observer
-        subscriptionObserver.error(e);
-        return subscription;
+        return undefined;
     }
 
-    // If the stream is already finished, then perform cleanup
-    if (subscriptionClosed(subscriptionObserver))
-        cleanupSubscription(subscriptionObserver);
+    let observers = Array.from(subject._observers);
 
-    return subscription;
-}
+    subject._done = { error, value };
+    subject._observers.clear();
 
-function SubscriptionObserver(observer) {
+    subjectNotify(observers, error ?
+        observer => observer.error(value) :
+        observer => observer.complete(value));
 
-    this._observer = observer;
-    this._cleanup = undefined;
+    return undefined;
 }
 
-SubscriptionObserver.prototype = nonEnum({
+export class Subject extends Observable {
 
-    get closed() { return subscriptionClosed(this) },
+    constructor() {
+
+        super(observer => subjectSubscribe(this, observer));
+
+        this._observers = new Set();
+        this._done = undefined;
+        this._replay = undefined;
+    }
+
+    get closed() { return Boolean(this._done) }
 
     next(value) {
 
-        // If the stream if closed, then return undefined
-        if (subscriptionClosed(this))
+        // If the subject is closed, then return undefined
+        if (this._done)
             return undefined;
 
-        let observer = this._observer;
+        subjectNotify(Array.from(this._observers), observer => observer.next(value));
 
-        try {
+        return undefined;
+    }
 
-            let m = getMethod(observer, "next");
+    error(value) { return subjectFinish(this, true, value) }
 
-            // If the observer doesn't support "next", then return undefined
-            if (!m)
-                return undefined;
+    complete(value) { return subjectFinish(this, false, value) }
 
-            // Send the next value to the sink
-            return m.call(observer, value);
+    // Derived observables are not subjects
+    static get [Symbol.species]() { return Observable }
 
-        } catch (e) {
+}
 
-            // If the observer throws, then close the stream and rethrow the error
-            try { closeSubscription(this) }
-            finally { throw e }
-        }
-    },
+export class BehaviorSubject extends Subject {
 
-    error(value) {
+    constructor(value) {
 
-        // If the stream is closed, throw the error to the caller
-        if (subscriptionClosed(this))
-            throw value;
+        super();
 
-        let observer = this._observer;
-        this._observer = undefined;
+        this._value = value;
 
-        try {
+        // New observers receive the current value, unless the subject has finished
+        this._replay = observer => {
 
-            let m = getMethod(observer, "error");
+            if (!this._done)
+                observer.next(this._value);
+        };
+    }
 
-            // If the sink does not support "error", then throw the error to the caller
-            if (!m)
-                throw value;
+    get value() {
 
-            value = m.call(observer, value);
+        let done = this._done;
 
-        } catch (e) {
+        if (done && done.error)
+            throw done.value;
 
-            try { cleanupSubscription(this) }
-            finally { throw e }
-        }
+        return this._value;
+    }
 
-        cleanupSubscription(this);
+    next(value) {
 
-        return value;
-    },
+        if (!this._done)
+            this._value = value;
 
-    complete(value) {
+        return super.next(value);
+    }
 
-        // If the stream is closed, then return undefined
-        if (subscriptionClosed(this))
-            return undefined;
+}
 
-        let observer = this._observer;
-        this._observer = undefined;
+function trimReplayBuffer(subject) {
 
-        try {
+    let buffer = subject._buffer;
 
-            let m = getMethod(observer, "complete");
+    while (buffer.length > subject._bufferSize)
+        buffer.shift();
 
-            // If the sink does not support "complete", then return undefined
-            value = m ? m.call(observer, value) : undefined;
+    if (subject._windowTime === Infinity)
+        return;
 
-        } catch (e) {
+    let now = subject._scheduler.now();
 
-            try { cleanupSubscription(this) }
-            finally { throw e }
-        }
+    while (buffer.length > 0 && now - buffer[0].time > subject._windowTime)
+        buffer.shift();
+}
 
-        cleanupSubscription(this);
+export class ReplaySubject extends Subject {
 
-        return value;
-    },
+    constructor(options = {}) {
 
-});
+        super();
 
-function Subscription(observer) {
-    this._observer = observer;
-}
+        if (Object(options) !== options)
+            throw new TypeError(options + " is not an object");
 
-Subscription.prototype = nonEnum({
-    unsubscribe() { closeSubscription(this._observer) }
-});
+        let bufferSize = options.bufferSize === undefined ? Infinity : options.bufferSize,
+            windowTime = options.windowTime === undefined ? Infinity : options.windowTime;
 
-export class Observable {
+        if (typeof bufferSize !== "number" || !(bufferSize >= 0))
+            throw new RangeError("Buffer size must be a non-negative number");
 
-    // == Fundamental ==
+        if (typeof windowTime !== "number" || !(windowTime >= 0))
+            throw new RangeError("Window time must be a non-negative number");
 
-    constructor(subscriber) {
+        this._buffer = [];
+        this._bufferSize = bufferSize;
+        this._windowTime = windowTime;
+        this._scheduler = getScheduler(null, options.scheduler);
 
-        // The stream subscriber must be a function
-        if (typeof subscriber !== "function")
-            throw new TypeError("Observable initializer must be a function");
+        // New observers receive the buffered values, even if the subject has finished
+        this._replay = observer => {
 
-        this._subscriber = subscriber;
-    }
+            trimReplayBuffer(this);
 
-    subscribe(observer) {
+            let buffer = this._buffer.slice(0);
 
-        return createSubscription(observer, this._subscriber);
+            for (let i = 0; i < buffer.length && !observer.closed; ++i)
+                observer.next(buffer[i].value);
+        };
     }
 
-    forEach(fn) {
+    next(value) {
 
-        return new Promise((resolve, reject) => {
+        if (!this._done) {
 
-            if (typeof fn !== "function")
-                throw new TypeError(fn + " is not a function");
+            this._buffer.push({ value, time: this._scheduler.now() });
+            trimReplayBuffer(this);
+        }
 
-            this.subscribe({
+        return super.next(value);
+    }
 
-                next(value) {
+}
 
-                    try { return fn(value) }
-                    catch (e) { reject(e) }
-                },
+// === Multicasting ===
 
-                error: reject,
-                complete: resolve,
-            });
-        });
-    }
+function connectableSubject(connectable, restart) {
 
-    [Symbol.observable]() { return this }
+    let subject = connectable._subject;
 
-    static get [Symbol.species]() { return this }
+    // A finished subject is replaced when the connectable is restarted
+    if (subject && !(restart && subject.closed))
+        return subject;
 
-    // == Derived ==
+    subject = connectable._subjectFactory.call(undefined);
 
-    static from(x) {
+    if (Object(subject) !== subject || typeof subject.subscribe !== "function")
+        throw new TypeError(subject + " is not a subject");
 
-        let C = typeof this === "function" ? this : Observable;
+    connectable._subject = subject;
 
-        if (x == null)
-            throw new TypeError(x + " is not an object");
+    return subject;
+}
 
-        let method = getMethod(x, Symbol.observable);
+function refCountObservable(connectable, C, restart = true) {
 
-        if (method) {
+    let count = 0,
+        connection = undefined;
 
-            let observable = method.call(x);
+    return new C(observer => {
 
-            if (Object(observable) !== observable)
-                throw new TypeError(observable + " is not an object");
+        // When the first observer arrives, decide whether a finished source is
+        // restarted or its final notification is shared
+        let subject = connectableSubject(connectable, count === 0 && restart);
 
-            if (observable.constructor === C)
-                return observable;
+        count++;
 
-            return new C(observer => observable.subscribe(observer));
-        }
+        let subscription = subject.subscribe(observer);
 
-        // TODO: Should we check for a Symbol.iterator method here?
+        if (!connection && !connectable._connection && !subject.closed)
+            connection = connectable.connect();
 
-        return new C(observer => {
+        return _=> {
 
-            enqueueJob(_=> {
+            subscription.unsubscribe();
 
-                if (observer.closed)
-                    return;
+            // Tear down the source when the last observer unsubscribes
+            if (--count === 0 && connection) {
 
-                // Assume that the object is iterable.  If not, then the observer
-                // will receive an error.
-                try {
+                let c = connection;
+                connection = undefined;
+                c.unsubscribe();
+            }
+        };
+    });
+}
 
-                    for (let item of x) {
+export class ConnectableObservable extends Observable {
 
-                        observer.next(item);
+    constructor(source, subjectFactory = _=> new Subject()) {
 
-                        if (observer.closed)
-                            return;
-                    }
+        if (Object(source) !== source || typeof source.subscribe !== "function")
+            throw new TypeError(source + " is not an observable");
 
-                } catch (e) {
+        if (typeof subjectFactory !== "function")
+            throw new TypeError(subjectFactory + " is not a function");
 
-                    // If observer.next throws an error, then the subscription will
-                    // be closed and the error method will simply rethrow
-                    observer.error(e);
-                    return;
-                }
+        super(observer => connectableSubject(this, false).subscribe(observer));
 
-                observer.complete();
-            });
-        });
+        // The source's species is recorded for refCount, since observables derived
+        // from a connectable observable are not themselves connectable
+        this._species = source instanceof Observable ? getSpecies(source) : Observable;
+        this._source = source;
+        this._subjectFactory = subjectFactory;
+        this._subject = undefined;
+        this._connection = undefined;
     }
 
-    static of(...items) {
+    connect() {
 
-        let C = typeof this === "function" ? this : Observable;
+        if (this._connection)
+            return this._connection;
 
-        return new C(observer => {
+        let subject = connectableSubject(this, true),
+            source = this._source,
+            connection = undefined;
 
-            enqueueJob(_=> {
+        new Observable(observer => {
 
-                if (observer.closed)
-                    return;
+            let subscription = source.subscribe(observer);
 
-                for (let i = 0; i < items.length; ++i) {
+            return _=> {
 
-                    observer.next(items[i]);
+                if (this._connection === connection)
+                    this._connection = undefined;
 
-                    if (observer.closed)
-                        return;
-                }
+                subscription.unsubscribe();
+            };
 
-                observer.complete();
-            });
+        }).subscribe({
+
+            start: s => { connection = this._connection = s },
+            next: x => subject.next(x),
+            error: x => subject.error(x),
+            complete: x => subject.complete(x),
         });
+
+        return connection;
+    }
+
+    refCount(options = {}) {
+
+        if (Object(options) !== options)
+            throw new TypeError(options + " is not an object");
+
+        return refCountObservable(this, this._species, options.restart);
     }
 
+    // Derived observables are not connectable
+    static get [Symbol.species]() { return Observable }
+
 }
@@ -0,0 +1,159 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+export default {
+
+    "Allowed options" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Options must be an object")
+        .throws(_=> observable.subscribe({}, null), TypeError)
+        .throws(_=> observable.subscribe({}, 1), TypeError)
+        ._("The signal must be an AbortSignal")
+        .throws(_=> observable.subscribe({}, { signal: {} }), TypeError)
+        .throws(_=> observable.subscribe({}, { signal: 1 }), TypeError)
+        ._("The signal is optional")
+        .not().throws(_=> observable.subscribe({}, {}))
+        .not().throws(_=> observable.subscribe({}, { signal: null }))
+        ;
+    },
+
+    "Aborting closes the subscription" (test, { Observable }) {
+
+        let controller = new AbortController(),
+            observer = null,
+            cleanup = 0,
+            values = [];
+
+        new Observable(x => {
+            observer = x;
+            return _=> cleanup++;
+        }).subscribe({
+            next(v) { values.push(v) },
+        }, { signal: controller.signal });
+
+        observer.next(1);
+        controller.abort();
+        observer.next(2);
+
+        test
+        ._("The cleanup function is called")
+        .equals(cleanup, 1)
+        ._("The observer is closed")
+        .equals(observer.closed, true)
+        ._("Values are not sent after aborting")
+        .equals(values, [1])
+        ;
+    },
+
+    "An aborted signal prevents subscription" (test, { Observable }) {
+
+        let controller = new AbortController(),
+            called = 0;
+
+        controller.abort();
+
+        new Observable(_=> { called++ }).subscribe({}, { signal: controller.signal });
+
+        test._("The subscriber function is not called")
+        .equals(called, 0);
+    },
+
+    "The abort listener is removed when the subscription closes" (test, { Observable }) {
+
+        let added = 0,
+            removed = 0;
+
+        let signal = {
+            aborted: false,
+            addEventListener() { added++ },
+            removeEventListener() { removed++ },
+        };
+
+        new Observable(observer => { observer.complete() }).subscribe({}, { signal });
+
+        test
+        ._("A listener is added")
+        .equals(added, 1)
+        ._("The listener is removed on completion")
+        .equals(removed, 1)
+        ;
+
+        new Observable(_=> null).subscribe({}, { signal }).unsubscribe();
+
+        test._("The listener is removed on unsubscribe")
+        .equals(removed, 2);
+    },
+
+    "forEach rejects with the abort reason" (test, { Observable }) {
+
+        let controller = new AbortController(),
+            reason = new Error(),
+            cleanup = 0;
+
+        let promise = new Observable(_=> _=> cleanup++).forEach(_=> null, {
+            signal: controller.signal,
+        });
+
+        controller.abort(reason);
+
+        return promise.then(_=> null, e => e).then(error => {
+
+            test
+            ._("The promise is rejected with the reason")
+            .equals(error, reason)
+            ._("The subscription is closed")
+            .equals(cleanup, 1)
+            ;
+        });
+    },
+
+    "forEach with an aborted signal" (test, { Observable }) {
+
+        let controller = new AbortController(),
+            reason = new Error(),
+            called = 0;
+
+        controller.abort(reason);
+
+        return new Observable(_=> { called++ }).forEach(_=> null, {
+            signal: controller.signal,
+        }).then(_=> null, e => e).then(error => {
+
+            test
+            ._("The promise is rejected with the reason")
+            .equals(error, reason)
+            ._("The subscriber function is not called")
+            .equals(called, 0)
+            ;
+        });
+    },
+
+    "forEach with an invalid callback does not listen for abort" (test, { Observable }) {
+
+        let added = 0,
+            removed = 0;
+
+        let signal = {
+            aborted: false,
+            addEventListener() { added++ },
+            removeEventListener() { removed++ },
+        };
+
+        return new Observable(_=> null).forEach(null, { signal }).then(_=> null, e => e).then(error => {
+
+            test
+            ._("The promise is rejected with a TypeError")
+            .assert(error instanceof TypeError)
+            ._("No listener is left on the signal")
+            .equals(added - removed, 0)
+            ;
+        });
+    },
+
+};
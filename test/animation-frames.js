@@ -0,0 +1,91 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has an animationFrames property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "animationFrames", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.animationFrames.call(function() { usesThis = true });
+
+        test._("Observable.animationFrames will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("Options must be an object")
+        .throws(_=> Observable.animationFrames(null), TypeError)
+        ._("The scheduler must have a schedule method")
+        .throws(_=> Observable.animationFrames({ scheduler: {} }), TypeError)
+        ;
+    },
+
+    "A value is sent for each frame" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            frames = [];
+
+        scheduler.advanceBy(100);
+
+        let subscription = Observable.animationFrames({ scheduler }).subscribe({
+            next(v) { frames.push(v) },
+        });
+
+        test._("Frames are not sent synchronously")
+        .equals(frames, []);
+
+        scheduler.advanceBy(48);
+
+        test._("Each frame has a timestamp and the time elapsed since subscription")
+        .equals(frames, [
+            { timestamp: 116, elapsed: 16 },
+            { timestamp: 132, elapsed: 32 },
+            { timestamp: 148, elapsed: 48 },
+        ]);
+
+        subscription.unsubscribe();
+        scheduler.advanceBy(48);
+
+        test._("No frames are sent after unsubscribing")
+        .equals(frames.length, 3);
+    },
+
+    "Frame timestamps from the scheduler are used" (test, { Observable }) {
+
+        let jobs = [],
+            frames = [];
+
+        // Jobs are called with a frame timestamp, like requestAnimationFrame callbacks
+        let scheduler = {
+            now() { return 10 },
+            schedule(fn) { jobs.push(fn); return _=> null },
+        };
+
+        Observable.animationFrames({ scheduler }).subscribe({
+            next(v) { frames.push(v) },
+        });
+
+        jobs.shift()(25);
+
+        test._("The timestamp passed to the job is sent")
+        .equals(frames, [{ timestamp: 25, elapsed: 15 }]);
+    },
+
+};
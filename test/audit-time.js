@@ -0,0 +1,78 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has an auditTime property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "auditTime", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Duration must be a non-negative number")
+        .throws(_=> observable.auditTime(), RangeError)
+        .throws(_=> observable.auditTime(-1), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.auditTime(1, null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.auditTime(1).token, token);
+    },
+
+    "The latest value is sent when the timer ends" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .auditTime(10, { scheduler })
+            .subscribe({
+                next(v) { calls.push([scheduler.now(), v]) },
+                complete() { calls.push([scheduler.now(), "complete"]) },
+            });
+
+        source.next(1);
+        scheduler.advanceBy(4);
+        source.next(2);
+        scheduler.advanceBy(8);
+        source.next(3);
+        scheduler.advanceBy(4);
+        source.complete();
+
+        test
+        ._("The timer is started by the first value and is not restarted")
+        .equals(calls[0], [10, 2])
+        ._("A pending value is sent before completion")
+        .equals(calls.slice(1), [[16, 3], [16, "complete"]])
+        ;
+    },
+
+};
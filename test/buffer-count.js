@@ -0,0 +1,87 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a bufferCount property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "bufferCount", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The size must be a positive integer")
+        .throws(_=> observable.bufferCount(), RangeError)
+        .throws(_=> observable.bufferCount(0), RangeError)
+        .throws(_=> observable.bufferCount(1.5), RangeError)
+        ._("The interval must be a positive integer")
+        .throws(_=> observable.bufferCount(1, 0), RangeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.bufferCount(1).token, token);
+    },
+
+    "Values are collected into buffers of a fixed size" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete();
+        }).bufferCount(2).subscribe({
+            next(v) { calls.push(v) },
+            complete() { calls.push("complete") },
+        });
+
+        test._("The last partial buffer is sent on completion")
+        .equals(calls, [[1, 2], [3, 4], [5], "complete"]);
+    },
+
+    "Buffers may overlap or skip values" (test, { Observable }) {
+
+        let source = new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete();
+        });
+
+        let overlapping = [],
+            skipping = [];
+
+        source.bufferCount(3, 1).subscribe({ next(v) { overlapping.push(v) } });
+        source.bufferCount(1, 2).subscribe({ next(v) { skipping.push(v) } });
+
+        test
+        ._("A new buffer is started every interval")
+        .equals(overlapping, [[1, 2, 3], [2, 3, 4], [3, 4, 5], [4, 5], [5]])
+        ._("Values between buffers are skipped")
+        .equals(skipping, [[1], [3], [5]])
+        ;
+    },
+
+};
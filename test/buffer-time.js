@@ -0,0 +1,95 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a bufferTime property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "bufferTime", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The duration must be a positive number")
+        .throws(_=> observable.bufferTime(), RangeError)
+        .throws(_=> observable.bufferTime(0), RangeError)
+        ._("The maximum size must be a positive integer")
+        .throws(_=> observable.bufferTime(1, 0), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.bufferTime(1, 1, null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.bufferTime(1).token, token);
+    },
+
+    "Values are collected for each period" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .bufferTime(10, Infinity, { scheduler })
+            .subscribe({
+                next(v) { calls.push([scheduler.now(), v]) },
+                complete() { calls.push([scheduler.now(), "complete"]) },
+            });
+
+        source.next(1);
+        source.next(2);
+        scheduler.advanceBy(20);
+        source.next(3);
+        scheduler.advanceBy(5);
+        source.complete();
+
+        test._("A buffer is sent at the end of every period")
+        .equals(calls, [[10, [1, 2]], [20, []], [25, [3]], [25, "complete"]]);
+    },
+
+    "Buffers are sent early when full" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .bufferTime(10, 2, { scheduler })
+            .subscribe({ next(v) { calls.push([scheduler.now(), v]) } });
+
+        scheduler.advanceBy(5);
+        source.next(1);
+        source.next(2);
+        source.next(3);
+        scheduler.advanceBy(10);
+
+        test._("A full buffer restarts the period")
+        .equals(calls, [[5, [1, 2]], [15, [3]]]);
+    },
+
+};
@@ -0,0 +1,92 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a buffer property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "buffer", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The notifier must be convertible to an observable")
+        .throws(_=> observable.buffer(), TypeError)
+        .throws(_=> observable.buffer(null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.buffer([]).token, token);
+    },
+
+    "Values are collected until the notifier sends a value" (test, { Observable, Subject }) {
+
+        let notifier = new Subject(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .buffer(notifier)
+            .subscribe({
+                next(v) { calls.push(v) },
+                complete(v) { calls.push(["complete", v]) },
+            });
+
+        source.next(1);
+        source.next(2);
+        notifier.next();
+        notifier.next();
+        source.next(3);
+        source.complete("done");
+
+        test._("Each notification sends the collected values")
+        .equals(calls, [[1, 2], [], [3], ["complete", "done"]]);
+    },
+
+    "Errors from the notifier" (test, { Observable, Subject }) {
+
+        let notifier = new Subject(),
+            cleanup = 0,
+            error = new Error(),
+            calls = [];
+
+        new Observable(_=> _=> { cleanup++ })
+            .buffer(notifier)
+            .subscribe({ error(e) { calls.push(e) } });
+
+        notifier.error(error);
+
+        test
+        ._("The error is sent to the observer")
+        .equals(calls, [error])
+        ._("The source is cleaned up")
+        .equals(cleanup, 1)
+        ;
+    },
+
+};
@@ -0,0 +1,140 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a catch property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "catch", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test._("Argument must be a function")
+        .throws(_=> observable.catch(), TypeError)
+        .throws(_=> observable.catch(null), TypeError)
+        .throws(_=> observable.catch({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.catch(_=> {}).token, token);
+    },
+
+    "Errors are replaced with another observable" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = [];
+
+        return new Promise(resolve => {
+
+            new Observable(observer => {
+
+                observer.next(1);
+                observer.error(error);
+
+                return _=> { calls.push("cleanup") };
+
+            }).catch(e => {
+
+                calls.push(["caught", e]);
+                return [2, 3];
+
+            }).subscribe({
+                next(v) { calls.push(["next", v]) },
+                error(e) { calls.push(["error", e]) },
+                complete: resolve,
+            });
+
+        }).then(_=> {
+
+            test._("The source is cleaned up before switching to the replacement")
+            .equals(calls, [
+                ["next", 1],
+                "cleanup",
+                ["caught", error],
+                ["next", 2],
+                ["next", 3],
+            ]);
+        });
+    },
+
+    "Errors from the handler and the replacement" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = [];
+
+        let failing = new Observable(observer => { observer.error(1) });
+
+        failing.catch(_=> { throw error }).subscribe({
+            error(e) { calls.push(["handler", e]) },
+        });
+
+        failing.catch(_=> new Observable(observer => { observer.error(error) })).subscribe({
+            error(e) { calls.push(["replacement", e]) },
+        });
+
+        test._("Errors are sent to the observer")
+        .equals(calls, [["handler", error], ["replacement", error]]);
+    },
+
+    "Unsubscribing cancels the replacement" (test, { Observable }) {
+
+        let cleanup = 0,
+            values = [];
+
+        let subscription = new Observable(observer => { observer.error(1) })
+            .catch(_=> new Observable(_=> _=> { cleanup++ }))
+            .subscribe({ next(v) { values.push(v) } });
+
+        subscription.unsubscribe();
+
+        test._("The replacement is cleaned up")
+        .equals(cleanup, 1);
+    },
+
+    "Values and completion pass through" (test, { Observable }) {
+
+        let called = 0,
+            calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.complete(2);
+        }).catch(_=> { called++ }).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("The handler is not called")
+        .equals(called, 0)
+        ._("Values and the completion value are forwarded")
+        .equals(calls, [["next", 1], ["complete", 2]])
+        ;
+    },
+
+};
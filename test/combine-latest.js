@@ -0,0 +1,79 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a combineLatest property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "combineLatest", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Arguments must be convertible to observables")
+        .throws(_=> Observable.combineLatest([], null), TypeError);
+    },
+
+    "The latest values are combined" (test, { Observable }) {
+
+        let a = null,
+            b = null,
+            values = [],
+            completed = [];
+
+        Observable.combineLatest(
+            new Observable(x => { a = x }),
+            new Observable(x => { b = x })
+        ).subscribe({
+            next(v) { values.push(v) },
+            complete(v) { completed.push(v) },
+        });
+
+        a.next(1);
+        a.next(2);
+
+        test._("Nothing is sent until every input has sent a value")
+        .equals(values, []);
+
+        b.next("x");
+        a.next(3);
+        a.complete("a");
+        b.next("y");
+        b.complete("b");
+
+        test
+        ._("The latest value of every input is sent on each update")
+        .equals(values, [[2, "x"], [3, "x"], [3, "y"]])
+        ._("Completes with the completion value of each input")
+        .equals(completed, [["a", "b"]])
+        ;
+    },
+
+    "Completes if an input completes without a value" (test, { Observable }) {
+
+        let cleanup = 0,
+            completed = 0;
+
+        Observable.combineLatest(
+            new Observable(_=> _=> cleanup++),
+            new Observable(x => { x.complete() })
+        ).subscribe({ complete() { completed++ } });
+
+        test
+        ._("The result completes")
+        .equals(completed, 1)
+        ._("Other inputs are cleaned up")
+        .equals(cleanup, 1)
+        ;
+    },
+
+};
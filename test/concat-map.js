@@ -0,0 +1,74 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a concatMap property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "concatMap", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Argument must be a function")
+        .throws(_=> new Observable(_=> null).concatMap(), TypeError);
+    },
+
+    "Inner observables are subscribed one at a time" (test, { Observable }) {
+
+        let outer = null,
+            inners = [],
+            values = [],
+            completed = 0;
+
+        new Observable(x => { outer = x }).concatMap(x => new Observable(observer => {
+            inners.push(observer);
+            observer.next(x);
+        })).subscribe({
+            next(v) { values.push(v) },
+            complete() { completed++ },
+        });
+
+        outer.next(1);
+        outer.next(2);
+        outer.complete();
+
+        test
+        ._("The second inner observable waits for the first")
+        .equals(values, [1])
+        .equals(inners.length, 1)
+        ;
+
+        inners[0].complete();
+
+        test._("The queued inner observable is subscribed")
+        .equals(values, [1, 2]);
+
+        inners[1].complete();
+
+        test._("Completes after the last inner observable")
+        .equals(completed, 1);
+    },
+
+    "Synchronous inner observables" (test, { Observable, Scheduler }) {
+
+        let values = [];
+
+        Observable.from([1, 2, 3], { scheduler: Scheduler.immediate })
+        .concatMap(x => Observable.from([x, -x], { scheduler: Scheduler.immediate }))
+        .subscribe({ next(v) { values.push(v) } });
+
+        test._("Values are delivered in order")
+        .equals(values, [1, -1, 2, -2, 3, -3]);
+    },
+
+};
@@ -0,0 +1,77 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a concat property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "concat", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Arguments must be convertible to observables")
+        .throws(_=> Observable.concat([], null), TypeError);
+    },
+
+    "Inputs are subscribed in order" (test, { Observable }) {
+
+        let observers = [],
+            values = [],
+            completed = [];
+
+        let input = _=> new Observable(x => { observers.push(x) });
+
+        Observable.concat(input(), input()).subscribe({
+            next(v) { values.push(v) },
+            complete(v) { completed.push(v) },
+        });
+
+        test._("Only the first input is subscribed")
+        .equals(observers.length, 1);
+
+        observers[0].next(1);
+        observers[0].complete("a");
+
+        test._("The next input is subscribed when the previous input completes")
+        .equals(observers.length, 2);
+
+        observers[1].next(2);
+        observers[1].complete("b");
+
+        test
+        ._("Values are sent in order")
+        .equals(values, [1, 2])
+        ._("Completes with the completion value of the last input")
+        .equals(completed, ["b"])
+        ;
+    },
+
+    "Cancellation cleans up the active input" (test, { Observable }) {
+
+        let cleanup = 0,
+            subscribed = 0;
+
+        Observable.concat(
+            new Observable(_=> _=> cleanup++),
+            new Observable(_=> { subscribed++ })
+        ).subscribe({}).unsubscribe();
+
+        test
+        ._("The active input is cleaned up")
+        .equals(cleanup, 1)
+        ._("Later inputs are not subscribed")
+        .equals(subscribed, 0)
+        ;
+    },
+
+};
@@ -0,0 +1,69 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a count property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "count", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("The predicate is optional")
+        .not().throws(_=> new Observable(_=> null).count())
+        ._("The predicate must be a function")
+        .throws(_=> new Observable(_=> null).count({}), TypeError)
+        ;
+    },
+
+    "Values are counted" (test, { Observable }) {
+
+        let calls = [];
+
+        let observable = new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+            observer.next(3);
+            observer.complete();
+        });
+
+        observable.count().subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The count is sent to next and complete")
+        .equals(calls, [["next", 3], ["complete", 3]]);
+
+        calls = [];
+        observable.count(x => x % 2).subscribe({ next(v) { calls.push(v) } });
+
+        test._("Only values matching the predicate are counted")
+        .equals(calls, [2]);
+    },
+
+    "Errors thrown from the predicate are sent to the observer" (test, { Observable }) {
+
+        let error = new Error(),
+            thrown = null;
+
+        new Observable(observer => observer.next(1)).count(_=> { throw error }).subscribe({
+            error(e) { thrown = e },
+        });
+
+        test._("Exceptions from the predicate are sent to the observer")
+        .equals(thrown, error);
+    },
+
+};
@@ -0,0 +1,124 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a debounce property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "debounce", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Due time must be a non-negative number")
+        .throws(_=> observable.debounce(), RangeError)
+        .throws(_=> observable.debounce(-1), RangeError)
+        .throws(_=> observable.debounce("1"), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.debounce(1, null), TypeError)
+        ._("The scheduler must have a schedule method")
+        .throws(_=> observable.debounce(1, { scheduler: {} }), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.debounce(1).token, token);
+    },
+
+    "Values are sent after a period of silence" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .debounce(10, { scheduler })
+            .subscribe({
+                next(v) { calls.push([scheduler.now(), v]) },
+                complete(v) { calls.push([scheduler.now(), "complete", v]) },
+            });
+
+        source.next(1);
+        scheduler.advanceBy(5);
+        source.next(2);
+        scheduler.advanceBy(10);
+
+        test._("Only the last value of a burst is sent")
+        .equals(calls, [[15, 2]]);
+
+        source.next(3);
+        scheduler.advanceBy(5);
+        source.complete("done");
+
+        test._("A pending value is sent before completion")
+        .equals(calls, [[15, 2], [20, 3], [20, "complete", "done"]]);
+    },
+
+    "Errors are not delayed" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            error = new Error(),
+            calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.error(error);
+        }).debounce(10, { scheduler }).subscribe({
+            next(v) { calls.push(["next", v]) },
+            error(e) { calls.push(["error", e]) },
+        });
+
+        scheduler.runUntilIdle();
+
+        test._("The pending value is dropped")
+        .equals(calls, [["error", error]]);
+    },
+
+    "Unsubscribing cancels the timer" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            cleanup = 0,
+            values = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            return _=> { cleanup++ };
+        }).debounce(10, { scheduler }).subscribe({
+            next(v) { values.push(v) },
+        }).unsubscribe();
+
+        scheduler.runUntilIdle();
+
+        test
+        ._("The source is cleaned up")
+        .equals(cleanup, 1)
+        ._("The pending value is not sent")
+        .equals(values, [])
+        ;
+    },
+
+};
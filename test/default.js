@@ -4,34 +4,174 @@ import constructor from "./constructor.js";
 import subscribe from "./subscribe.js";
 import forEach from "./forEach.js";
 import observable from "./symbol-observable.js";
+import asyncIterator from "./symbol-async-iterator.js";
 import species from "./symbol-species.js";
 import ofTests from "./of.js";
 import fromTests from "./from.js";
+import map from "./map.js";
+import filter from "./filter.js";
+import scheduler from "./scheduler.js";
+import testScheduler from "./test-scheduler.js";
+import subject from "./subject.js";
 
 import observerNext from "./observer-next.js";
 import observerError from "./observer-error.js";
 import observerComplete from "./observer-complete.js";
 import observerClosed from "./observer-closed.js";
+import share from "./share.js";
+import abortSignal from "./abort-signal.js";
+import dispose from "./symbol-dispose.js";
+import using from "./using.js";
+import subscription from "./subscription.js";
+import switchMap from "./switch-map.js";
+import takeUntil from "./take-until.js";
+import mergeMap from "./merge-map.js";
+import concatMap from "./concat-map.js";
+import exhaustMap from "./exhaust-map.js";
+import merge from "./merge.js";
+import concat from "./concat.js";
+import combineLatest from "./combine-latest.js";
+import zip from "./zip.js";
+import race from "./race.js";
+import forkJoin from "./fork-join.js";
+import reduce from "./reduce.js";
+import scan from "./scan.js";
+import toArray from "./to-array.js";
+import count from "./count.js";
+import toPromise from "./to-promise.js";
+import firstValueFrom from "./first-value-from.js";
+import lastValueFrom from "./last-value-from.js";
+import catchTests from "./catch.js";
+import retry from "./retry.js";
+import debounce from "./debounce.js";
+import throttle from "./throttle.js";
+import delay from "./delay.js";
+import timeout from "./timeout.js";
+import auditTime from "./audit-time.js";
+import sampleTime from "./sample-time.js";
+import timer from "./timer.js";
+import animationFrames from "./animation-frames.js";
+import buffer from "./buffer.js";
+import bufferCount from "./buffer-count.js";
+import bufferTime from "./buffer-time.js";
+import windowTests from "./window.js";
+import windowCount from "./window-count.js";
+import windowTime from "./window-time.js";
+import take from "./take.js";
+import skip from "./skip.js";
+import takeWhile from "./take-while.js";
+import skipWhile from "./skip-while.js";
+import first from "./first.js";
+import last from "./last.js";
+import elementAt from "./element-at.js";
+import distinct from "./distinct.js";
+import distinctUntilChanged from "./distinct-until-changed.js";
+import distinctUntilKeyChanged from "./distinct-until-key-changed.js";
+import groupBy from "./group-by.js";
+import partition from "./partition.js";
+import tap from "./tap.js";
+import finalize from "./finalize.js";
+import onSubscribe from "./on-subscribe.js";
+import materialize from "./materialize.js";
+import dematerialize from "./dematerialize.js";
+import notification from "./notification.js";
+import defer from "./defer.js";
+import empty from "./empty.js";
+import never from "./never.js";
+import throwError from "./throw-error.js";
+import range from "./range.js";
+import generate from "./generate.js";
 
 
-export function runTests(C) {
+export function runTests(C, lib = {}) {
 
-    return new TestRunner().inject({ Observable: C }).run({
+    return new TestRunner().inject(Object.assign({}, lib, { Observable: C })).run({
 
         "Observable constructor": constructor,
 
         "Observable.prototype.subscribe": subscribe,
         "Observable.prototype.forEach": forEach,
+        "Observable.prototype.toPromise": toPromise,
+        "AbortSignal": abortSignal,
         "Observable.prototype[Symbol.observable]": observable,
+        "Observable.prototype[Symbol.asyncIterator]": asyncIterator,
 
         "Observable.of": ofTests,
         "Observable.from": fromTests,
+        "Observable.firstValueFrom": firstValueFrom,
+        "Observable.lastValueFrom": lastValueFrom,
+        "Observable.using": using,
+        "Observable.merge": merge,
+        "Observable.concat": concat,
+        "Observable.combineLatest": combineLatest,
+        "Observable.zip": zip,
+        "Observable.race": race,
+        "Observable.forkJoin": forkJoin,
+        "Observable.timer": timer,
+        "Observable.animationFrames": animationFrames,
+        "Observable.defer": defer,
+        "Observable.empty": empty,
+        "Observable.never": never,
+        "Observable.throwError": throwError,
+        "Observable.range": range,
+        "Observable.generate": generate,
         "Observable[Symbol.species]": species,
 
+        "Observable.prototype.map": map,
+        "Observable.prototype.filter": filter,
+        "Observable.prototype.switchMap": switchMap,
+        "Observable.prototype.takeUntil": takeUntil,
+        "Observable.prototype.mergeMap": mergeMap,
+        "Observable.prototype.concatMap": concatMap,
+        "Observable.prototype.exhaustMap": exhaustMap,
+        "Observable.prototype.reduce": reduce,
+        "Observable.prototype.scan": scan,
+        "Observable.prototype.toArray": toArray,
+        "Observable.prototype.count": count,
+        "Observable.prototype.catch": catchTests,
+        "Observable.prototype.retry": retry,
+        "Observable.prototype.debounce": debounce,
+        "Observable.prototype.throttle": throttle,
+        "Observable.prototype.delay": delay,
+        "Observable.prototype.timeout": timeout,
+        "Observable.prototype.auditTime": auditTime,
+        "Observable.prototype.sampleTime": sampleTime,
+        "Observable.prototype.buffer": buffer,
+        "Observable.prototype.bufferCount": bufferCount,
+        "Observable.prototype.bufferTime": bufferTime,
+        "Observable.prototype.window": windowTests,
+        "Observable.prototype.windowCount": windowCount,
+        "Observable.prototype.windowTime": windowTime,
+        "Observable.prototype.take": take,
+        "Observable.prototype.skip": skip,
+        "Observable.prototype.takeWhile": takeWhile,
+        "Observable.prototype.skipWhile": skipWhile,
+        "Observable.prototype.first": first,
+        "Observable.prototype.last": last,
+        "Observable.prototype.elementAt": elementAt,
+        "Observable.prototype.distinct": distinct,
+        "Observable.prototype.distinctUntilChanged": distinctUntilChanged,
+        "Observable.prototype.distinctUntilKeyChanged": distinctUntilKeyChanged,
+        "Observable.prototype.groupBy": groupBy,
+        "Observable.prototype.partition": partition,
+        "Observable.prototype.tap": tap,
+        "Observable.prototype.finalize": finalize,
+        "Observable.prototype.onSubscribe": onSubscribe,
+        "Observable.prototype.materialize": materialize,
+        "Observable.prototype.dematerialize": dematerialize,
+        "Observable.prototype.share": share,
+
         "SubscriptionObserver.prototype.next": observerNext,
         "SubscriptionObserver.prototype.error": observerError,
         "SubscriptionObserver.prototype.complete": observerComplete,
         "SubscriptionObserver.prototype.closed": observerClosed,
+        "Subscription.prototype": subscription,
+        "Subscription.prototype[Symbol.dispose]": dispose,
+
+        "Scheduler": scheduler,
+        "TestScheduler": testScheduler,
+        "Subject": subject,
+        "Notification": notification,
 
     });
 }
@@ -0,0 +1,92 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a defer property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "defer", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("Argument must be a function")
+        .throws(_=> Observable.defer(), TypeError)
+        .throws(_=> Observable.defer({}), TypeError)
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.defer.call(function() { usesThis = true }, _=> []);
+
+        test._("Observable.defer will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "The factory is called for each subscription" (test, { Observable, Scheduler }) {
+
+        let created = 0,
+            calls = [];
+
+        let observable = Observable.defer(_=> {
+            created++;
+            return Observable.from([created], { scheduler: Scheduler.immediate });
+        });
+
+        test._("The factory is not called until subscription")
+        .equals(created, 0);
+
+        observable.subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+        observable.subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Each subscription receives a new observable")
+        .equals(calls, [1, ["complete", undefined], 2, ["complete", undefined]]);
+    },
+
+    "Errors from the factory" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = [];
+
+        Observable.defer(_=> { throw error }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Errors thrown by the factory are sent to the observer")
+        .equals(calls, [["error", error]]);
+
+        calls = [];
+        Observable.defer(_=> null).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Results which are not observable send a TypeError")
+        .assert(calls[0][1] instanceof TypeError);
+    },
+
+};
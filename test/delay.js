@@ -0,0 +1,96 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a delay property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "delay", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Due time must be a non-negative number")
+        .throws(_=> observable.delay(), RangeError)
+        .throws(_=> observable.delay(NaN), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.delay(1, null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.delay(1).token, token);
+    },
+
+    "Values and completion are delayed" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .delay(10, { scheduler })
+            .subscribe({
+                next(v) { calls.push([scheduler.now(), v]) },
+                complete(v) { calls.push([scheduler.now(), "complete", v]) },
+            });
+
+        source.next(1);
+        scheduler.advanceBy(3);
+        source.next(2);
+        source.complete("done");
+
+        test._("Nothing is sent synchronously")
+        .equals(calls, []);
+
+        scheduler.runUntilIdle();
+
+        test._("Each notification is shifted by the due time")
+        .equals(calls, [[10, 1], [13, 2], [13, "complete", "done"]]);
+    },
+
+    "Errors are not delayed" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            error = new Error(),
+            calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.error(error);
+        }).delay(10, { scheduler }).subscribe({
+            next(v) { calls.push(["next", v]) },
+            error(e) { calls.push(["error", e]) },
+        });
+
+        scheduler.runUntilIdle();
+
+        test._("The error is sent immediately, and pending values are dropped")
+        .equals(calls, [["error", error]]);
+    },
+
+};
@@ -0,0 +1,98 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a dematerialize property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "dematerialize", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("No arguments are required")
+        .not().throws(_=> observable.dematerialize())
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.dematerialize().token, token);
+    },
+
+    "Notifications are sent to the observer" (test, { Observable, Notification }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            observer.next(Notification.next(1));
+            observer.next({ kind: "N", value: 2 });
+            observer.next({ kind: "C", value: "done" });
+            observer.next(Notification.next(3));
+        }).dematerialize().subscribe({
+            next(v) { calls.push(v) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Notifications and plain objects are dispatched by kind")
+        .equals(calls, [1, 2, ["complete", "done"]]);
+    },
+
+    "Materialized streams may be replayed" (test, { Observable }) {
+
+        let error = new Error(),
+            stored = [],
+            calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.error(error);
+        }).materialize().subscribe({ next(v) { stored.push(v) } });
+
+        new Observable(observer => {
+            stored.forEach(n => observer.next(n));
+        }).dematerialize().subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+        });
+
+        test._("The original notifications are reproduced")
+        .equals(calls, [1, ["error", error]]);
+    },
+
+    "Invalid notifications" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => { observer.next({ kind: "X" }) })
+            .dematerialize()
+            .subscribe({ error(e) { calls.push(e) } });
+
+        test._("A TypeError is sent to the observer")
+        .assert(calls[0] instanceof TypeError);
+    },
+
+};
@@ -0,0 +1,104 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a distinctUntilChanged property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "distinctUntilChanged", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The comparator must be a function if provided")
+        .throws(_=> observable.distinctUntilChanged({}), TypeError)
+        ._("The key selector must be a function if provided")
+        .throws(_=> observable.distinctUntilChanged(null, {}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.distinctUntilChanged().token, token);
+    },
+
+    "Consecutive duplicates are not sent" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 1, 2, 2, 1, NaN, NaN].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).distinctUntilChanged().subscribe({
+            next(v) { calls.push(v) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Values equal to the previous value are skipped")
+        .equals(calls, [1, 2, 1, NaN, ["complete", "done"]]);
+    },
+
+    "Comparators and key selectors" (test, { Observable }) {
+
+        let source = new Observable(observer => {
+            ["a", "A", "b", "B", "a"].forEach(v => observer.next(v));
+        });
+
+        let compared = [],
+            selected = [];
+
+        source.distinctUntilChanged((a, b) => a.toLowerCase() === b.toLowerCase())
+            .subscribe({ next(v) { compared.push(v) } });
+
+        source.distinctUntilChanged(null, v => v.toUpperCase())
+            .subscribe({ next(v) { selected.push(v) } });
+
+        test
+        ._("The comparator determines equality")
+        .equals(compared, ["a", "b", "a"])
+        ._("The key selector determines what is compared")
+        .equals(selected, ["a", "b", "a"])
+        ;
+    },
+
+    "Errors thrown by the comparator" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+        }).distinctUntilChanged(_=> { throw error }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+        });
+
+        test._("The error is sent to the observer")
+        .equals(calls, [1, ["error", error]]);
+    },
+
+};
@@ -0,0 +1,60 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a distinctUntilKeyChanged property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "distinctUntilKeyChanged", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The comparator must be a function if provided")
+        .throws(_=> observable.distinctUntilKeyChanged("id", {}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.distinctUntilKeyChanged("id").token, token);
+    },
+
+    "Values are compared by key" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [{ id: 1 }, { id: 1 }, { id: 2 }, { id: 1 }].forEach(v => observer.next(v));
+        }).distinctUntilKeyChanged("id").subscribe({
+            next(v) { calls.push(v) },
+        });
+
+        test._("Values with the same key as the previous value are skipped")
+        .equals(calls, [{ id: 1 }, { id: 2 }, { id: 1 }]);
+    },
+
+};
@@ -0,0 +1,123 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a distinct property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "distinct", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The key selector must be a function if provided")
+        .throws(_=> observable.distinct({}), TypeError)
+        .not().throws(_=> observable.distinct(null))
+        ._("Options must be an object")
+        .throws(_=> observable.distinct(null, null), TypeError)
+        ._("The TTL must be a non-negative number")
+        .throws(_=> observable.distinct(null, { ttl: -1 }), RangeError)
+        ._("The flush notifier must be convertible to an observable")
+        .throws(_=> observable.distinct(null, { flush: null }), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.distinct().token, token);
+    },
+
+    "Values which have been seen are not sent" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 1, 3, 2, NaN, NaN].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).distinct().subscribe({
+            next(v) { calls.push(v) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Only the first occurrence of each value is sent")
+        .equals(calls, [1, 2, 3, NaN, ["complete", "done"]]);
+
+        calls = [];
+
+        new Observable(observer => {
+            [{ id: 1 }, { id: 2 }, { id: 1 }].forEach(v => observer.next(v));
+        }).distinct(v => v.id).subscribe({
+            next(v) { calls.push(v) },
+        });
+
+        test._("The key selector determines uniqueness")
+        .equals(calls, [{ id: 1 }, { id: 2 }]);
+    },
+
+    "The flush notifier clears seen values" (test, { Observable, Subject }) {
+
+        let flush = new Subject(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .distinct(null, { flush })
+            .subscribe({ next(v) { calls.push(v) } });
+
+        source.next(1);
+        source.next(1);
+        flush.next();
+        source.next(1);
+
+        test._("Values are sent again after a flush")
+        .equals(calls, [1, 1]);
+    },
+
+    "Seen values expire after the TTL" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .distinct(null, { ttl: 10, scheduler })
+            .subscribe({ next(v) { calls.push([scheduler.now(), v]) } });
+
+        source.next("a");
+        scheduler.advanceBy(5);
+        source.next("b");
+        source.next("a");
+        scheduler.advanceBy(5);
+        source.next("a");
+        source.next("b");
+        scheduler.advanceBy(5);
+        source.next("b");
+
+        test._("Values are sent again once they have expired")
+        .equals(calls, [[0, "a"], [5, "b"], [10, "a"], [15, "b"]]);
+    },
+
+};
@@ -0,0 +1,100 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has an elementAt property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "elementAt", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Index must be a non-negative integer")
+        .throws(_=> observable.elementAt(), RangeError)
+        .throws(_=> observable.elementAt(-1), RangeError)
+        .throws(_=> observable.elementAt(0.5), RangeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.elementAt(0).token, token);
+    },
+
+    "The value at the index is sent" (test, { Observable }) {
+
+        let cleanup = 0,
+            calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4].forEach(v => observer.next(v));
+            return _=> { cleanup++ };
+        }).elementAt(2).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("The value at the index is sent, followed by completion")
+        .equals(calls, [3, ["complete", undefined]])
+        ._("The source is cleaned up once")
+        .equals(cleanup, 1)
+        ;
+    },
+
+    "Out of range indexes" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).elementAt(5).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("A RangeError is sent if the source completes first")
+        .assert(calls[0][1] instanceof RangeError);
+
+        calls = [];
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).elementAt(5, "default").subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The default value is sent if provided")
+        .equals(calls, ["default", ["complete", undefined]]);
+    },
+
+};
@@ -0,0 +1,60 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has an empty property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "empty", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("Options must be an object")
+        .throws(_=> Observable.empty(null), TypeError)
+        ._("The scheduler must have a schedule method")
+        .throws(_=> Observable.empty({ scheduler: {} }), TypeError)
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.empty.call(function() { usesThis = true });
+
+        test._("Observable.empty will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "Completion is sent by the scheduler" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        Observable.empty({ scheduler }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Nothing is sent synchronously")
+        .equals(calls, []);
+
+        scheduler.flush();
+
+        test._("Completion is sent when the scheduler runs")
+        .equals(calls, [["complete", undefined]]);
+    },
+
+};
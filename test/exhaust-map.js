@@ -0,0 +1,62 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has an exhaustMap property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "exhaustMap", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Argument must be a function")
+        .throws(_=> new Observable(_=> null).exhaustMap(), TypeError);
+    },
+
+    "Outer values are ignored while an inner observable is active" (test, { Observable }) {
+
+        let outer = null,
+            inners = [],
+            values = [],
+            completed = 0;
+
+        new Observable(x => { outer = x }).exhaustMap(x => new Observable(observer => {
+            inners.push(observer);
+            observer.next(x);
+        })).subscribe({
+            next(v) { values.push(v) },
+            complete() { completed++ },
+        });
+
+        outer.next(1);
+        outer.next(2);
+
+        test._("The second outer value is ignored")
+        .equals(values, [1])
+        .equals(inners.length, 1)
+        ;
+
+        inners[0].complete();
+        outer.next(3);
+
+        test._("Outer values are mapped once the inner observable completes")
+        .equals(values, [1, 3]);
+
+        outer.complete();
+        inners[1].complete();
+
+        test._("Completes after the outer and inner observables complete")
+        .equals(completed, 1);
+    },
+
+};
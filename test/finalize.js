@@ -0,0 +1,106 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a finalize property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "finalize", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Argument must be a function")
+        .throws(_=> observable.finalize(), TypeError)
+        .throws(_=> observable.finalize({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.finalize(_=> null).token, token);
+    },
+
+    "The callback runs after the source's cleanup" (test, { Observable }) {
+
+        let source = null,
+            calls = [];
+
+        let observable = new Observable(observer => {
+            source = observer;
+            return _=> { calls.push("cleanup") };
+        }).finalize(_=> calls.push("finalize"));
+
+        observable.subscribe({ complete() { calls.push("complete") } });
+        source.complete();
+
+        test._("On completion")
+        .equals(calls, ["complete", "cleanup", "finalize"]);
+
+        calls = [];
+        observable.subscribe({ error() { calls.push("error") } });
+        source.error(new Error());
+
+        test._("On error")
+        .equals(calls, ["error", "cleanup", "finalize"]);
+
+        calls = [];
+        observable.subscribe({}).unsubscribe();
+
+        test._("On unsubscribe")
+        .equals(calls, ["cleanup", "finalize"]);
+    },
+
+    "Synchronous completion" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            observer.complete();
+            return _=> { calls.push("cleanup") };
+        }).finalize(_=> calls.push("finalize")).subscribe({});
+
+        test._("The callback runs once, after the source's cleanup")
+        .equals(calls, ["cleanup", "finalize"]);
+    },
+
+    "The callback runs if the cleanup function throws" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = [];
+
+        let subscription = new Observable(_=> _=> { throw error })
+            .finalize(_=> calls.push("finalize"))
+            .subscribe({});
+
+        try { subscription.unsubscribe() }
+        catch (e) { calls.push(e) }
+
+        test._("The callback is called")
+        .equals(calls[0], "finalize");
+    },
+
+};
@@ -0,0 +1,107 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a firstValueFrom property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "firstValueFrom", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Resolves with the first value and cancels the subscription" (test, { Observable }) {
+
+        let cleanup = 0,
+            observer = null;
+
+        let promise = Observable.firstValueFrom(new Observable(x => {
+            observer = x;
+            return _=> cleanup++;
+        }));
+
+        observer.next(1);
+
+        test
+        ._("The subscription is cancelled")
+        .equals(cleanup, 1)
+        .equals(observer.closed, true)
+        ;
+
+        return promise.then(value => {
+            test._("The promise resolves with the first value")
+            .equals(value, 1);
+        });
+    },
+
+    "Accepts anything Observable.from accepts" (test, { Observable }) {
+
+        return Observable.firstValueFrom([3, 4]).then(value => {
+            test._("Iterables are converted")
+            .equals(value, 3);
+        });
+    },
+
+    "Empty sequences" (test, { Observable, EmptyError }) {
+
+        let empty = new Observable(observer => observer.complete());
+
+        return Observable.firstValueFrom(empty).then(_=> null, e => e).then(error => {
+
+            test._("The promise is rejected with an EmptyError")
+            .assert(error instanceof EmptyError)
+            .assert(error instanceof Error)
+            .equals(error.name, "EmptyError")
+            ;
+
+            return Observable.firstValueFrom(empty, { defaultValue: 0 });
+
+        }).then(value => {
+
+            test._("The default value is used if provided")
+            .equals(value, 0);
+        });
+    },
+
+    "Errors reject the promise" (test, { Observable }) {
+
+        let error = new Error();
+
+        return Observable.firstValueFrom(new Observable(x => { x.error(error) }))
+        .then(_=> null, e => e).then(e => {
+            test._("The promise is rejected with the error")
+            .equals(e, error);
+        });
+    },
+
+    "Accepts an AbortSignal" (test, { Observable }) {
+
+        let controller = new AbortController(),
+            reason = new Error(),
+            cleanup = 0;
+
+        let promise = Observable.firstValueFrom(new Observable(_=> _=> cleanup++), {
+            signal: controller.signal,
+        });
+
+        controller.abort(reason);
+
+        return promise.then(_=> null, e => e).then(e => {
+
+            test
+            ._("The promise is rejected with the abort reason")
+            .equals(e, reason)
+            ._("The subscription is cancelled")
+            .equals(cleanup, 1)
+            ;
+        });
+    },
+
+};
@@ -0,0 +1,114 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a first property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "first", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The predicate must be a function if provided")
+        .throws(_=> observable.first({}), TypeError)
+        .not().throws(_=> observable.first())
+        .not().throws(_=> observable.first(null, 1))
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.first().token, token);
+    },
+
+    "The first value is sent, followed by completion" (test, { Observable }) {
+
+        let cleanup = 0,
+            calls = [];
+
+        new Observable(observer => {
+            [1, 2].forEach(v => observer.next(v));
+            return _=> { cleanup++ };
+        }).first().subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("Only the first value is sent")
+        .equals(calls, [1, ["complete", undefined]])
+        ._("The source is cleaned up once")
+        .equals(cleanup, 1)
+        ;
+
+        calls = [];
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).first(v => v > 3).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The predicate selects the value")
+        .equals(calls, [4, ["complete", undefined]]);
+    },
+
+    "Empty sequences" (test, { Observable, EmptyError }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).first(v => v > 5).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("An EmptyError is sent if there is no value")
+        .assert(calls[0][1] instanceof EmptyError);
+
+        calls = [];
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).first(v => v > 5, undefined).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The default value is sent if provided")
+        .equals(calls, [undefined, ["complete", undefined]]);
+    },
+
+};
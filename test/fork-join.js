@@ -0,0 +1,84 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a forkJoin property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "forkJoin", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Arguments must be convertible to observables")
+        .throws(_=> Observable.forkJoin([], null), TypeError);
+    },
+
+    "The last values are sent when every input completes" (test, { Observable }) {
+
+        let a = null,
+            b = null,
+            calls = [];
+
+        Observable.forkJoin(
+            new Observable(x => { a = x }),
+            new Observable(x => { b = x })
+        ).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        a.next(1);
+        a.next(2);
+        a.complete("a");
+        b.next("x");
+
+        test._("Nothing is sent until every input completes")
+        .equals(calls, []);
+
+        b.complete("b");
+
+        test._("The last value of each input is sent, followed by the completion values")
+        .equals(calls, [["next", [2, "x"]], ["complete", ["a", "b"]]]);
+    },
+
+    "Completes without a value if an input completes without a value" (test, { Observable }) {
+
+        let calls = [];
+
+        Observable.forkJoin(
+            new Observable(x => { x.next(1); x.complete() }),
+            new Observable(x => { x.complete("b") })
+        ).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("No value is sent")
+        .equals(calls, [["complete", [undefined, "b"]]]);
+    },
+
+    "Accepts promises" (test, { Observable }) {
+
+        return new Promise(resolve => {
+
+            Observable.forkJoin(Promise.resolve(1), [2, 3]).subscribe({
+                next(v) {
+                    test._("Promises and iterables are converted")
+                    .equals(v, [1, 3]);
+                    resolve();
+                },
+            });
+        });
+    },
+
+};
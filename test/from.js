@@ -202,6 +202,210 @@ export default {
         });
     },
 
+    "Async iterables: values are pulled one at a time" (test, { Observable }) {
+
+        let pulls = [],
+            values = [],
+            index = 0;
+
+        let asyncIterable = {
+            [getSymbol("asyncIterator")]() {
+                return {
+                    next() {
+                        pulls.push(values.slice(0));
+                        return Promise.resolve(index < 3 ?
+                            { value: ++index, done: false } :
+                            { value: undefined, done: true });
+                    },
+                };
+            },
+        };
+
+        return new Promise(resolve => {
+
+            Observable.from(asyncIterable).subscribe({
+
+                next(v) { values.push(v) },
+
+                complete() {
+
+                    test
+                    ._("All items are delivered and complete is called")
+                    .equals(values, [1, 2, 3])
+                    ._("Each item is delivered before the next item is requested")
+                    .equals(pulls, [[], [1], [1, 2], [1, 2, 3]])
+                    ;
+
+                    resolve();
+                },
+            });
+        });
+    },
+
+    "Async iterables: errors are sent to the observer" (test, { Observable }) {
+
+        let error = new Error();
+
+        let asyncIterable = {
+            [getSymbol("asyncIterator")]() {
+                return { next() { return Promise.reject(error) } };
+            },
+        };
+
+        return new Promise(resolve => {
+
+            Observable.from(asyncIterable).subscribe({
+
+                error(e) {
+                    test._("Rejections from next are sent to the observer")
+                    .equals(e, error);
+                    resolve();
+                },
+            });
+        });
+    },
+
+    "Async iterables: cancellation calls return" (test, { Observable }) {
+
+        let returned = 0,
+            values = [];
+
+        let asyncIterable = {
+            [getSymbol("asyncIterator")]() {
+                return {
+                    next() { return Promise.resolve({ value: 1, done: false }) },
+                    return() { returned++; return Promise.resolve({ done: true }) },
+                };
+            },
+        };
+
+        return new Promise(resolve => {
+
+            let subscription = Observable.from(asyncIterable).subscribe({
+
+                next(v) {
+
+                    values.push(v);
+                    subscription.unsubscribe();
+
+                    setTimeout(_=> {
+
+                        test
+                        ._("Cancelling stops observation")
+                        .equals(values, [1])
+                        ._("The iterator's return method is called once")
+                        .equals(returned, 1)
+                        ;
+
+                        resolve();
+
+                    }, 10);
+                },
+            });
+        });
+    },
+
+    "Async iterables: rejections from return are handled" (test, { Observable }) {
+
+        let returned = 0;
+
+        let asyncIterable = {
+            [getSymbol("asyncIterator")]() {
+                return {
+                    next() { return new Promise(_=> null) },
+                    return() { returned++; return Promise.reject(new Error("return failed")) },
+                };
+            },
+        };
+
+        Observable.from(asyncIterable).subscribe({}).unsubscribe();
+
+        return new Promise(resolve => setTimeout(resolve, 10)).then(_=> {
+
+            test._("The iterator's return method is called without an unhandled rejection")
+            .equals(returned, 1);
+        });
+    },
+
+    "Thenables: the resolved value is delivered and then complete" (test, { Observable }) {
+
+        let calls = [];
+
+        return new Promise(resolve => {
+
+            Observable.from(Promise.resolve(1)).subscribe({
+
+                next(v) { calls.push(["next", v]) },
+
+                complete(v) {
+
+                    calls.push(["complete", v]);
+
+                    test._("The value is sent to next, followed by complete")
+                    .equals(calls, [["next", 1], ["complete", undefined]]);
+
+                    resolve();
+                },
+            });
+        });
+    },
+
+    "Thenables: rejections are sent to the observer" (test, { Observable }) {
+
+        let error = new Error();
+
+        return new Promise(resolve => {
+
+            Observable.from({ then(_, reject) { reject(error) } }).subscribe({
+
+                error(e) {
+                    test._("The rejection reason is sent to error")
+                    .equals(e, error);
+                    resolve();
+                },
+            });
+        });
+    },
+
+    "Thenables: errors thrown by the observer" (test, { Observable }) {
+
+        let calls = [];
+
+        let subscription = Observable.from(Promise.resolve(1)).subscribe({
+            next() { throw new Error("observer threw") },
+            error(e) { calls.push(e) },
+        });
+
+        Observable.from(Promise.resolve(1)).subscribe({
+            next() { throw new Error("observer threw") },
+        });
+
+        return new Promise(resolve => setTimeout(resolve, 10)).then(_=> {
+
+            test
+            ._("An observer which throws is closed without an unhandled rejection")
+            .equals(subscription.closed, true)
+            .equals(calls, [])
+            ;
+        });
+    },
+
+    "Thenables: responds to cancellation" (test, { Observable }) {
+
+        let values = [];
+
+        let subscription = Observable.from(Promise.resolve(1)).subscribe({
+            next(v) { values.push(v) }
+        });
+
+        subscription.unsubscribe();
+
+        return Promise.resolve().then(_=> null).then(_=> {
+            test._("Cancelling before the promise resolves stops observation")
+            .equals(values, []);
+        });
+    },
+
     "Non-iterables result in a catchable error" (test, { Observable }) {
 
         let error = null;
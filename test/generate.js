@@ -0,0 +1,124 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a generate property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "generate", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("Options must be an object")
+        .throws(_=> Observable.generate(), TypeError)
+        ._("Iterate must be a function")
+        .throws(_=> Observable.generate({}), TypeError)
+        ._("The condition must be a function if provided")
+        .throws(_=> Observable.generate({ iterate: x => x, condition: 1 }), TypeError)
+        ._("The scheduler must have a schedule method")
+        .throws(_=> Observable.generate({ iterate: x => x, scheduler: {} }), TypeError)
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.generate.call(function() { usesThis = true }, { iterate: x => x });
+
+        test._("Observable.generate will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "Values are generated while the condition is true" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        Observable.generate({
+            initial: 1,
+            condition: x => x < 10,
+            iterate: x => x * 2,
+            scheduler,
+        }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Nothing is sent synchronously")
+        .equals(calls, []);
+
+        scheduler.flush();
+
+        test._("Each state is sent, followed by completion")
+        .equals(calls, [1, 2, 4, 8, ["complete", undefined]]);
+    },
+
+    "Without a condition, values are sent until unsubscribed" (test, { Observable, Scheduler }) {
+
+        let subscription = null,
+            values = [];
+
+        Observable.generate({
+            initial: 0,
+            iterate: x => x + 1,
+            scheduler: Scheduler.immediate,
+        }).subscribe({
+            start(s) { subscription = s },
+            next(v) {
+                values.push(v);
+                if (v === 2) subscription.unsubscribe();
+            },
+        });
+
+        test._("No values are sent after unsubscribing")
+        .equals(values, [0, 1, 2]);
+    },
+
+    "Errors thrown by the callbacks" (test, { Observable, Scheduler }) {
+
+        let error = new Error(),
+            calls = [];
+
+        Observable.generate({
+            initial: 0,
+            iterate: _=> { throw error },
+            scheduler: Scheduler.immediate,
+        }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Errors thrown by iterate are sent to the observer")
+        .equals(calls, [0, ["error", error]]);
+
+        calls = [];
+        Observable.generate({
+            initial: 0,
+            condition: _=> { throw error },
+            iterate: x => x,
+            scheduler: Scheduler.immediate,
+        }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Errors thrown by the condition are sent to the observer")
+        .equals(calls, [["error", error]]);
+    },
+
+};
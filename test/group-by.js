@@ -0,0 +1,192 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a groupBy property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "groupBy", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The key selector must be a function")
+        .throws(_=> observable.groupBy(), TypeError)
+        .throws(_=> observable.groupBy({}), TypeError)
+        ._("Options must be an object")
+        .throws(_=> observable.groupBy(x => x, null), TypeError)
+        ._("The duration must be a non-negative number")
+        .throws(_=> observable.groupBy(x => x, { duration: -1 }), RangeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.groupBy(x => x).token, token);
+    },
+
+    "Values are grouped by key" (test, { Observable }) {
+
+        let groups = {},
+            keys = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).groupBy(v => v % 2 ? "odd" : "even").subscribe({
+            next(group) {
+                let calls = groups[group.key] = [];
+                keys.push(group.key);
+                group.subscribe({
+                    next(v) { calls.push(v) },
+                    complete(v) { calls.push(["complete", v]) },
+                });
+            },
+        });
+
+        test
+        ._("A group is sent for each new key")
+        .equals(keys, ["odd", "even"])
+        ._("Each group receives the values for its key, followed by completion")
+        .equals(groups, {
+            odd: [1, 3, 5, ["complete", "done"]],
+            even: [2, 4, ["complete", "done"]],
+        })
+        ;
+    },
+
+    "Groups are instances of the species constructor" (test, { Observable }) {
+
+        class MyObservable extends Observable {
+            double() { return this.map(x => x * 2) }
+        }
+
+        let groups = [],
+            values = [];
+
+        new MyObservable(observer => {
+            observer.next(1);
+            observer.next(2);
+        }).groupBy(v => v).subscribe({
+            next(group) {
+                groups.push(group);
+                group.double().subscribe({ next(v) { values.push(v) } });
+            },
+        });
+
+        test
+        ._("Groups are instances of the subclass")
+        .assert(groups[0] instanceof MyObservable)
+        ._("Subclass methods may be used on groups")
+        .equals(values, [2, 4])
+        ;
+    },
+
+    "Groups are closed after a period of inactivity" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        new Observable(observer => { source = observer })
+            .groupBy(v => v.key, { duration: 10, scheduler })
+            .subscribe({
+                next(group) {
+                    calls.push([scheduler.now(), "open", group.key]);
+                    group.subscribe({
+                        complete() { calls.push([scheduler.now(), "close", group.key]) },
+                    });
+                },
+            });
+
+        source.next({ key: "a" });
+        scheduler.advanceBy(5);
+        source.next({ key: "a" });
+        source.next({ key: "b" });
+        scheduler.advanceBy(10);
+        source.next({ key: "a" });
+
+        test._("A new group is opened for a key after its group closes")
+        .equals(calls, [
+            [0, "open", "a"],
+            [5, "open", "b"],
+            [15, "close", "a"],
+            [15, "close", "b"],
+            [15, "open", "a"],
+        ]);
+    },
+
+    "Errors are sent to every group" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+            observer.error(error);
+        }).groupBy(v => v).subscribe({
+            next(group) { group.subscribe({ error(e) { calls.push([group.key, e]) } }) },
+            error(e) { calls.push(["outer", e]) },
+        });
+
+        test._("Each group and the observer receive the error")
+        .equals(calls, [[1, error], [2, error], ["outer", error]]);
+
+        calls = [];
+
+        new Observable(observer => { observer.next(1) })
+            .groupBy(_=> { throw error })
+            .subscribe({ error(e) { calls.push(e) } });
+
+        test._("Errors thrown by the key selector are sent to the observer")
+        .equals(calls, [error]);
+    },
+
+    "Open groups are completed when the outer subscription is cancelled" (test, { Observable }) {
+
+        let calls = [],
+            cleanup = 0;
+
+        let subscription = new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+            return _=> { cleanup++ };
+        }).groupBy(v => v).subscribe({
+            next(group) { group.subscribe({ complete() { calls.push(group.key) } }) },
+        });
+
+        subscription.unsubscribe();
+
+        test
+        ._("Each open group is completed")
+        .equals(calls, [1, 2])
+        ._("The source is unsubscribed")
+        .equals(cleanup, 1)
+        ;
+    },
+
+};
@@ -44,6 +44,23 @@ export function testMethodProperty(test, object, key, options) {
 
 }
 
+export function controlled(Observable, log) {
+
+    // Records each observer, and counts cleanups, so that tests can drive the observable
+    return new Observable(observer => {
+
+        log.observers.push(observer);
+
+        return _=> { log.cleanup++ };
+    });
+}
+
+export function plainNotification(value) {
+
+    // Notifications are compared by kind and value, since equals also compares prototypes
+    return value && value.kind ? { kind: value.kind, value: value.value } : value;
+}
+
 export function hasSymbol(name) {
 
     return typeof Symbol === "function" && Boolean(Symbol[name]);
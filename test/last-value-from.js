@@ -0,0 +1,46 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a lastValueFrom property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "lastValueFrom", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Resolves with the last value when the sequence completes" (test, { Observable }) {
+
+        return Observable.lastValueFrom(Observable.of(1, 2, 3)).then(value => {
+            test._("The promise resolves with the last value")
+            .equals(value, 3);
+        });
+    },
+
+    "Empty sequences" (test, { Observable, EmptyError }) {
+
+        let empty = new Observable(observer => observer.complete("ignored"));
+
+        return Observable.lastValueFrom(empty).then(_=> null, e => e).then(error => {
+
+            test._("The promise is rejected with an EmptyError")
+            .assert(error instanceof EmptyError);
+
+            return Observable.lastValueFrom(empty, { defaultValue: undefined });
+
+        }).then(value => {
+
+            test._("A default value of undefined is allowed")
+            .equals(value, undefined);
+        });
+    },
+
+};
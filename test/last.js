@@ -0,0 +1,108 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a last property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "last", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The predicate must be a function if provided")
+        .throws(_=> observable.last({}), TypeError)
+        .not().throws(_=> observable.last())
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.last().token, token);
+    },
+
+    "The last value is sent, followed by completion" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).last().subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The last value and the completion value are sent")
+        .equals(calls, [5, ["complete", "done"]]);
+
+        calls = [];
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).last(v => v < 3).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The predicate selects the value")
+        .equals(calls, [2, ["complete", "done"]]);
+    },
+
+    "Empty sequences" (test, { Observable, EmptyError }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).last(v => v > 5).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("An EmptyError is sent if there is no value")
+        .assert(calls[0][1] instanceof EmptyError);
+
+        calls = [];
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).last(v => v > 5, 0).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The default value is sent if provided")
+        .equals(calls, [0, ["complete", "done"]]);
+    },
+
+};
@@ -0,0 +1,85 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol, plainNotification } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a materialize property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "materialize", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("No arguments are required")
+        .not().throws(_=> observable.materialize())
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.materialize().token, token);
+    },
+
+    "Notifications are sent as values" (test, { Observable, Notification }) {
+
+        let error = new Error(),
+            calls = [];
+
+        new Observable(observer => { observer.next(1) }).materialize().subscribe({
+            next(v) { calls.push(v) },
+        });
+
+        test._("Notifications are instances of Notification")
+        .assert(calls[0] instanceof Notification);
+
+        calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.complete("done");
+        }).materialize().subscribe({
+            next(v) { calls.push(plainNotification(v)) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("Values and the completion value are sent as notifications")
+        .equals(calls, [{ kind: "N", value: 1 }, { kind: "C", value: "done" }, ["complete", undefined]])
+        ;
+
+        calls = [];
+
+        new Observable(observer => { observer.error(error) }).materialize().subscribe({
+            next(v) { calls.push(plainNotification(v)) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Errors are sent as notifications, followed by completion")
+        .equals(calls, [{ kind: "E", value: error }, ["complete", undefined]]);
+    },
+
+};
@@ -0,0 +1,158 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol, controlled } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a mergeMap property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "mergeMap", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Argument must be a function")
+        .throws(_=> observable.mergeMap(), TypeError)
+        .throws(_=> observable.mergeMap({}), TypeError)
+        ._("Concurrency must be a positive integer")
+        .throws(_=> observable.mergeMap(x => x, 0), RangeError)
+        .throws(_=> observable.mergeMap(x => x, 1.5), RangeError)
+        .throws(_=> observable.mergeMap(x => x, "1"), RangeError)
+        .not().throws(_=> observable.mergeMap(x => x, 2))
+        .not().throws(_=> observable.mergeMap(x => x, Infinity))
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.mergeMap(_=> {}).token, token);
+    },
+
+    "Values from all inner observables are merged" (test, { Observable }) {
+
+        let outer = null,
+            a = { observers: [], cleanup: 0 },
+            b = { observers: [], cleanup: 0 },
+            values = [],
+            completed = [];
+
+        new Observable(x => { outer = x }).mergeMap(x => x).subscribe({
+            next(v) { values.push(v) },
+            complete(v) { completed.push(v) },
+        });
+
+        outer.next(controlled(Observable, a));
+        outer.next(controlled(Observable, b));
+        a.observers[0].next(1);
+        b.observers[0].next(2);
+        a.observers[0].next(3);
+        outer.complete("done");
+        a.observers[0].complete();
+
+        test
+        ._("Values from every inner observable are sent")
+        .equals(values, [1, 2, 3])
+        ._("Does not complete while an inner observable is active")
+        .equals(completed, [])
+        ;
+
+        b.observers[0].complete();
+
+        test._("Completes with the outer completion value when every inner observable completes")
+        .equals(completed, ["done"]);
+    },
+
+    "Concurrency limits the active inner observables" (test, { Observable }) {
+
+        let outer = null,
+            logs = [1, 2, 3].map(_=> ({ observers: [], cleanup: 0 }));
+
+        new Observable(x => { outer = x }).mergeMap(log => controlled(Observable, log), 2).subscribe({});
+
+        logs.forEach(log => outer.next(log));
+
+        test._("Only two inner observables are subscribed")
+        .equals(logs.map(log => log.observers.length), [1, 1, 0]);
+
+        logs[0].observers[0].complete();
+
+        test._("A queued inner observable is subscribed when an active one completes")
+        .equals(logs.map(log => log.observers.length), [1, 1, 1]);
+    },
+
+    "Inner values are converted with Observable.from" (test, { Observable, Scheduler }) {
+
+        let values = [];
+
+        Observable.from([1, 2], { scheduler: Scheduler.immediate })
+        .mergeMap(x => Observable.from([x, x * 10], { scheduler: Scheduler.immediate }))
+        .subscribe({ next(v) { values.push(v) } });
+
+        test._("Observables returned from the callback are flattened")
+        .equals(values, [1, 10, 2, 20]);
+
+        return Observable.of(1, 2).mergeMap(x => Promise.resolve(x)).forEach(v => values.push(v))
+        .then(_=> {
+            test._("Promises returned from the callback are flattened")
+            .equals(values.slice(4), [1, 2]);
+        });
+    },
+
+    "Errors are forwarded to the observer" (test, { Observable }) {
+
+        let error = new Error(),
+            thrown = [];
+
+        new Observable(x => { x.next(1) }).mergeMap(x => { throw error }).subscribe({
+            error(e) { thrown.push(e) },
+        });
+
+        new Observable(x => { x.next(1) }).mergeMap(x => new Observable(y => { y.error(error) })).subscribe({
+            error(e) { thrown.push(e) },
+        });
+
+        test._("Callback and inner errors are forwarded")
+        .equals(thrown, [error, error]);
+    },
+
+    "Unsubscribing cleans up all observables" (test, { Observable }) {
+
+        let outer = { observers: [], cleanup: 0 },
+            inner = { observers: [], cleanup: 0 };
+
+        let subscription = controlled(Observable, outer).mergeMap(x => x).subscribe({});
+        outer.observers[0].next(controlled(Observable, inner));
+        outer.observers[0].next(controlled(Observable, inner));
+        subscription.unsubscribe();
+
+        test
+        ._("The outer observable is cleaned up")
+        .equals(outer.cleanup, 1)
+        ._("Every inner observable is cleaned up")
+        .equals(inner.cleanup, 2)
+        ;
+    },
+
+};
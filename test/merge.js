@@ -0,0 +1,104 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a merge property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "merge", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Arguments must be convertible to observables")
+        .throws(_=> Observable.merge(null), TypeError)
+        .throws(_=> Observable.merge([], undefined), TypeError)
+        .not().throws(_=> Observable.merge([], Promise.resolve(1)))
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.merge.call(function() { usesThis = true }, []);
+
+        test._("Observable.merge will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "Values from every input are merged" (test, { Observable }) {
+
+        let a = null,
+            b = null,
+            values = [],
+            completed = [];
+
+        Observable.merge(
+            new Observable(x => { a = x }),
+            new Observable(x => { b = x })
+        ).subscribe({
+            next(v) { values.push(v) },
+            complete(v) { completed.push(v) },
+        });
+
+        a.next(1);
+        b.next(2);
+        a.complete("a");
+        b.next(3);
+
+        test
+        ._("Values are sent as they arrive")
+        .equals(values, [1, 2, 3])
+        ._("Does not complete while an input is active")
+        .equals(completed, [])
+        ;
+
+        b.complete("b");
+
+        test._("Completes with the completion value of each input")
+        .equals(completed, [["a", "b"]]);
+    },
+
+    "Cancellation cleans up every input" (test, { Observable }) {
+
+        let cleanup = 0;
+
+        Observable.merge(
+            new Observable(_=> _=> cleanup++),
+            new Observable(_=> _=> cleanup++)
+        ).subscribe({}).unsubscribe();
+
+        test._("Each input is cleaned up")
+        .equals(cleanup, 2);
+    },
+
+    "Errors are forwarded and cancel other inputs" (test, { Observable }) {
+
+        let error = new Error(),
+            cleanup = 0,
+            thrown = null;
+
+        Observable.merge(
+            new Observable(_=> _=> cleanup++),
+            new Observable(x => { x.error(error) })
+        ).subscribe({ error(e) { thrown = e } });
+
+        test
+        ._("The error is forwarded")
+        .equals(thrown, error)
+        ._("Other inputs are cleaned up")
+        .equals(cleanup, 1)
+        ;
+    },
+
+};
@@ -0,0 +1,53 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a never property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "never", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.never.call(function() { usesThis = true });
+
+        test._("Observable.never will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "Nothing is sent" (test, { Observable }) {
+
+        let calls = [];
+
+        let subscription = Observable.never().subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        return new Promise(resolve => setTimeout(resolve, 10)).then(_=> {
+
+            test
+            ._("No notifications are sent")
+            .equals(calls, [])
+            ._("The subscription remains open")
+            .equals(subscription.closed, false)
+            ;
+
+            subscription.unsubscribe();
+        });
+    },
+
+};
@@ -0,0 +1,78 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, plainNotification } from "./helpers.js";
+
+export default {
+
+    "Notification.prototype has an accept property" (test, { Notification }) {
+
+        testMethodProperty(test, Notification.prototype, "accept", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Notification }) {
+
+        test
+        ._("The kind must be N, E or C")
+        .throws(_=> new Notification("X"), TypeError)
+        .throws(_=> new Notification(), TypeError)
+        .throws(_=> new Notification("toString"), TypeError)
+        .not().throws(_=> new Notification("N", 1))
+        ._("The observer must be an object")
+        .throws(_=> new Notification("N", 1).accept(null), TypeError)
+        ;
+    },
+
+    "Notifications have a kind and a value" (test, { Notification }) {
+
+        test
+        ._("Static methods create notifications of each kind")
+        .equals(plainNotification(Notification.next(1)), { kind: "N", value: 1 })
+        .equals(plainNotification(Notification.error(2)), { kind: "E", value: 2 })
+        .equals(plainNotification(Notification.complete(3)), { kind: "C", value: 3 })
+        .assert(Notification.next(1) instanceof Notification)
+        ;
+    },
+
+    "Accept dispatches to the observer" (test, { Observable, Notification }) {
+
+        let calls = [];
+
+        let observer = {
+            next(v) { calls.push(["next", v]); return "n" },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        };
+
+        test._("The result of the observer method is returned")
+        .equals(Notification.next(1).accept(observer), "n");
+
+        Notification.error(2).accept(observer);
+        Notification.complete(3).accept(observer);
+
+        test._("The method for the notification's kind is called with the value")
+        .equals(calls, [["next", 1], ["error", 2], ["complete", 3]]);
+
+        calls = [];
+
+        new Observable(observer => {
+            Notification.next(1).accept(observer);
+            Notification.complete(2).accept(observer);
+            Notification.next(3).accept(observer);
+        }).subscribe(observer);
+
+        test._("Notifications may be sent to a SubscriptionObserver")
+        .equals(calls, [["next", 1], ["complete", 2]]);
+
+        test._("Missing observer methods are ignored")
+        .equals(Notification.next(1).accept({}), undefined);
+    },
+
+};
@@ -0,0 +1,84 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has an onSubscribe property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "onSubscribe", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Argument must be a function")
+        .throws(_=> observable.onSubscribe(), TypeError)
+        .throws(_=> observable.onSubscribe({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.onSubscribe(_=> null).token, token);
+    },
+
+    "The callback runs for each subscription" (test, { Observable }) {
+
+        let calls = [];
+
+        let observable = new Observable(observer => {
+            calls.push("subscribed");
+            observer.next(1);
+        }).onSubscribe(_=> calls.push("onSubscribe"));
+
+        test._("The callback is not called until subscription")
+        .equals(calls, []);
+
+        observable.subscribe({ next(v) { calls.push(v) } });
+        observable.subscribe({});
+
+        test._("The callback runs before subscribing to the source")
+        .equals(calls, ["onSubscribe", "subscribed", 1, "onSubscribe", "subscribed"]);
+    },
+
+    "Errors thrown by the callback" (test, { Observable }) {
+
+        let error = new Error(),
+            subscribed = 0,
+            calls = [];
+
+        new Observable(_=> { subscribed++ })
+            .onSubscribe(_=> { throw error })
+            .subscribe({ error(e) { calls.push(e) } });
+
+        test
+        ._("The error is sent to the observer")
+        .equals(calls, [error])
+        ._("The source is not subscribed")
+        .equals(subscribed, 0)
+        ;
+    },
+
+};
@@ -0,0 +1,64 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a partition property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "partition", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The predicate must be a function")
+        .throws(_=> observable.partition(), TypeError)
+        .throws(_=> observable.partition({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.partition(x => x)[0].token, token);
+    },
+
+    "Values are split by the predicate" (test, { Observable }) {
+
+        let source = new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete();
+        });
+
+        let [odd, even] = source.partition(v => v % 2),
+            values = { odd: [], even: [] };
+
+        odd.subscribe({ next(v) { values.odd.push(v) } });
+        even.subscribe({ next(v) { values.even.push(v) } });
+
+        test._("The first observable receives matching values, the second the rest")
+        .equals(values, { odd: [1, 3, 5], even: [2, 4] });
+    },
+
+};
@@ -0,0 +1,77 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a race property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "race", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Arguments must be convertible to observables")
+        .throws(_=> Observable.race([], null), TypeError);
+    },
+
+    "The first input to send a notification wins" (test, { Observable }) {
+
+        let a = null,
+            b = null,
+            cleanup = [],
+            values = [],
+            completed = [];
+
+        Observable.race(
+            new Observable(x => { a = x; return _=> cleanup.push("a") }),
+            new Observable(x => { b = x; return _=> cleanup.push("b") })
+        ).subscribe({
+            next(v) { values.push(v) },
+            complete(v) { completed.push(v) },
+        });
+
+        b.next(1);
+
+        test._("The losing inputs are cleaned up")
+        .equals(cleanup, ["a"]);
+
+        a.next(2);
+        b.next(3);
+        b.complete("b");
+
+        test
+        ._("Only values from the winner are sent")
+        .equals(values, [1, 3])
+        ._("Completes with the winner's completion value")
+        .equals(completed, ["b"])
+        ;
+    },
+
+    "A synchronous winner prevents later subscriptions" (test, { Observable }) {
+
+        let subscribed = 0,
+            values = [];
+
+        Observable.race(
+            new Observable(x => { x.next(1) }),
+            new Observable(_=> { subscribed++ })
+        ).subscribe({ next(v) { values.push(v) } });
+
+        test
+        ._("The winner's values are sent")
+        .equals(values, [1])
+        ._("Later inputs are not subscribed")
+        .equals(subscribed, 0)
+        ;
+    },
+
+};
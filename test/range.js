@@ -0,0 +1,95 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a range property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "range", {
+            configurable: true,
+            writable: true,
+            length: 2,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("The start must be a finite number")
+        .throws(_=> Observable.range(), TypeError)
+        .throws(_=> Observable.range("1", 1), TypeError)
+        .throws(_=> Observable.range(Infinity, 1), TypeError)
+        ._("The count must be a non-negative integer")
+        .throws(_=> Observable.range(0, -1), RangeError)
+        .throws(_=> Observable.range(0, 1.5), RangeError)
+        ._("Options must be an object")
+        .throws(_=> Observable.range(0, 1, null), TypeError)
+        ._("The scheduler must have a schedule method")
+        .throws(_=> Observable.range(0, 1, { scheduler: {} }), TypeError)
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.range.call(function() { usesThis = true }, 0, 1);
+
+        test._("Observable.range will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "A sequence of numbers is sent" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        Observable.range(3, 3, { scheduler }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Nothing is sent synchronously")
+        .equals(calls, []);
+
+        scheduler.flush();
+
+        test._("Count numbers are sent, starting from start")
+        .equals(calls, [3, 4, 5, ["complete", undefined]]);
+
+        calls = [];
+        Observable.range(3, 0, { scheduler }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+        scheduler.flush();
+
+        test._("A count of zero completes without values")
+        .equals(calls, [["complete", undefined]]);
+    },
+
+    "Unsubscribing stops delivery" (test, { Observable, Scheduler }) {
+
+        let subscription = null,
+            values = [];
+
+        Observable.range(1, Infinity, { scheduler: Scheduler.immediate }).subscribe({
+            start(s) { subscription = s },
+            next(v) {
+                values.push(v);
+                if (v === 3) subscription.unsubscribe();
+            },
+        });
+
+        test._("No values are sent after unsubscribing")
+        .equals(values, [1, 2, 3]);
+    },
+
+};
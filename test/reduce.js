@@ -0,0 +1,104 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a reduce property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "reduce", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Argument must be a function")
+        .throws(_=> new Observable(_=> null).reduce(), TypeError)
+        .throws(_=> new Observable(_=> null).reduce({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.reduce((a, b) => a + b).token, token);
+    },
+
+    "The result is sent as the last value and the completion value" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+            observer.next(3);
+            observer.complete("ignored");
+        }).reduce((a, b) => a + b, 10).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The accumulated value is sent to next and complete")
+        .equals(calls, [["next", 16], ["complete", 16]]);
+
+        return Observable.of(1, 2, 3).reduce((a, b) => a * b).forEach(_=> null).then(value => {
+            test._("Without a seed, the first value is the initial accumulation")
+            .equals(value, 6);
+        });
+    },
+
+    "Empty sequences" (test, { Observable, EmptyError }) {
+
+        let calls = [],
+            error = null;
+
+        new Observable(observer => observer.complete()).reduce((a, b) => a + b, 0).subscribe({
+            next(v) { calls.push(v) },
+        });
+
+        new Observable(observer => observer.complete()).reduce((a, b) => a + b).subscribe({
+            error(e) { error = e },
+        });
+
+        test
+        ._("The seed is sent for an empty sequence")
+        .equals(calls, [0])
+        ._("An empty sequence without a seed sends an EmptyError")
+        .assert(error instanceof EmptyError)
+        ;
+    },
+
+    "Errors thrown from the callback are sent to the observer" (test, { Observable }) {
+
+        let error = new Error(),
+            thrown = null;
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+        }).reduce(_=> { throw error }).subscribe({
+            error(e) { thrown = e },
+        });
+
+        test._("Exceptions from the callback are sent to the observer")
+        .equals(thrown, error);
+    },
+
+};
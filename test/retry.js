@@ -0,0 +1,288 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+function failing(Observable, log, times) {
+
+    return new Observable(observer => {
+
+        let attempt = ++log.subscribed;
+        log.calls.push(["subscribe", attempt]);
+        observer.next(attempt);
+
+        if (attempt <= times)
+            observer.error(attempt);
+        else
+            observer.complete();
+
+        return _=> { log.calls.push(["cleanup", attempt]) };
+    });
+}
+
+export default {
+
+    "Observable.prototype has retry and retryWhen properties" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "retry", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+
+        testMethodProperty(test, Observable.prototype, "retryWhen", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The count must be a non-negative integer")
+        .throws(_=> observable.retry(-1), RangeError)
+        .throws(_=> observable.retry(1.5), RangeError)
+        .throws(_=> observable.retry({ count: "1" }), RangeError)
+        .not().throws(_=> observable.retry(0))
+        .not().throws(_=> observable.retry(Infinity))
+        ._("Options must be an object")
+        .throws(_=> observable.retry(null), TypeError)
+        ._("The delay must be a function or non-negative number")
+        .throws(_=> observable.retry({ delay: -1 }), TypeError)
+        .throws(_=> observable.retry({ delay: "1" }), TypeError)
+        .not().throws(_=> observable.retry({ delay: _=> 1 }))
+        ._("Backoff must be at least 1")
+        .throws(_=> observable.retry({ backoff: 0.5 }), RangeError)
+        ._("Jitter must be between 0 and 1")
+        .throws(_=> observable.retry({ jitter: 2 }), RangeError)
+        ._("The retryWhen argument must be a function")
+        .throws(_=> observable.retryWhen(), TypeError)
+        .throws(_=> observable.retryWhen({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test
+        ._("Constructor species is used as the new constructor")
+        .equals(observable.retry().token, token)
+        .equals(observable.retryWhen(_=> {}).token, token)
+        ;
+    },
+
+    "The source is resubscribed after an error" (test, { Observable }) {
+
+        let log = { subscribed: 0, calls: [] },
+            calls = [];
+
+        failing(Observable, log, 2).retry(3).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete() { calls.push(["complete"]) },
+        });
+
+        test
+        ._("Each attempt is cleaned up before the next subscription")
+        .equals(log.calls, [
+            ["subscribe", 1],
+            ["cleanup", 1],
+            ["subscribe", 2],
+            ["cleanup", 2],
+            ["subscribe", 3],
+            ["cleanup", 3],
+        ])
+        ._("Values from every attempt are sent to the observer")
+        .equals(calls, [["next", 1], ["next", 2], ["next", 3], ["complete"]])
+        ;
+    },
+
+    "The error is sent when retries are exhausted" (test, { Observable }) {
+
+        let log = { subscribed: 0, calls: [] },
+            calls = [];
+
+        failing(Observable, log, Infinity).retry(2).subscribe({
+            error(e) { calls.push(["error", e]) },
+        });
+
+        test
+        ._("The source is subscribed once more than the count")
+        .equals(log.subscribed, 3)
+        ._("The last error is sent to the observer")
+        .equals(calls, [["error", 3]])
+        ;
+    },
+
+    "Asynchronous errors" (test, { Observable }) {
+
+        let log = { subscribed: 0, cleanup: 0, observer: null };
+
+        let subscription = new Observable(observer => {
+
+            log.subscribed++;
+            log.observer = observer;
+            return _=> { log.cleanup++ };
+
+        }).retry().subscribe({});
+
+        log.observer.error(1);
+
+        test
+        ._("The failed attempt is cleaned up")
+        .equals(log.cleanup, 1)
+        ._("The source is resubscribed")
+        .equals(log.subscribed, 2)
+        ;
+
+        subscription.unsubscribe();
+
+        test._("Unsubscribing cleans up the current attempt")
+        .equals(log.cleanup, 2);
+    },
+
+    "Retries are delayed with backoff" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            times = [];
+
+        let subscription = new Observable(observer => {
+
+            times.push(scheduler.now());
+            observer.error(1);
+
+        }).retry({ count: 4, delay: 10, backoff: 2, maxDelay: 30, scheduler }).subscribe({
+            error() { times.push("error") },
+        });
+
+        scheduler.runUntilIdle();
+
+        test._("The delay is multiplied by the backoff factor, up to the maximum")
+        .equals(times, [0, 10, 30, 60, 90, "error"]);
+
+        times = [];
+
+        new Observable(observer => {
+
+            times.push(scheduler.now());
+            observer.error(1);
+
+        }).retry({ delay: 10, scheduler }).subscribe({}).unsubscribe();
+
+        scheduler.runUntilIdle();
+
+        test._("Unsubscribing cancels a pending retry")
+        .equals(times, [90]);
+
+        subscription.unsubscribe();
+    },
+
+    "Delay functions and jitter" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        new Observable(observer => {
+
+            calls.push(scheduler.now());
+            observer.error("e");
+
+        }).retry({
+            count: 2,
+            delay: (error, attempt) => { calls.push([error, attempt]); return attempt * 5 },
+            scheduler,
+        }).subscribe({ error() {} });
+
+        scheduler.runUntilIdle();
+
+        test._("The delay function receives the error and the attempt number")
+        .equals(calls, [0, ["e", 1], 5, ["e", 2], 15]);
+
+        calls = [];
+
+        new Observable(observer => {
+
+            calls.push(scheduler.now());
+            observer.error("e");
+
+        }).retry({ count: 1, delay: 10, jitter: 1, scheduler }).subscribe({ error() {} });
+
+        scheduler.runUntilIdle();
+
+        test._("Jitter shortens the delay")
+        .assert(calls[1] - calls[0] <= 10);
+    },
+
+    "retryWhen resubscribes when the notifier sends a value" (test, { Observable, Subject }) {
+
+        let log = { subscribed: 0, calls: [] },
+            errors = [],
+            notifier = new Subject(),
+            calls = [];
+
+        failing(Observable, log, Infinity).retryWhen(e => {
+
+            e.subscribe({ next(v) { errors.push(v) } });
+            return notifier;
+
+        }).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("Errors are sent to the notifier function's observable")
+        .equals(errors, [1])
+        ._("The failed attempt is cleaned up")
+        .equals(log.calls, [["subscribe", 1], ["cleanup", 1]])
+        ;
+
+        notifier.next();
+
+        test._("A value from the notifier resubscribes to the source")
+        .equals(log.subscribed, 2);
+
+        notifier.complete("done");
+
+        test._("Completion of the notifier completes the result")
+        .equals(calls, [["next", 1], ["next", 2], ["complete", "done"]]);
+    },
+
+    "retryWhen with a notifier derived from errors" (test, { Observable }) {
+
+        let log = { subscribed: 0, calls: [] },
+            calls = [];
+
+        failing(Observable, log, Infinity).retryWhen(errors => new Observable(observer => {
+
+            return errors.subscribe({
+                next(e) { e < 3 ? observer.next() : observer.error(e) },
+            });
+
+        })).subscribe({
+            error(e) { calls.push(["error", e]) },
+        });
+
+        test
+        ._("The source is resubscribed until the notifier errors")
+        .equals(log.subscribed, 3)
+        ._("The notifier's error is sent to the observer")
+        .equals(calls, [["error", 3]])
+        ;
+    },
+
+};
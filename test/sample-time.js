@@ -0,0 +1,79 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a sampleTime property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "sampleTime", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Period must be a positive number")
+        .throws(_=> observable.sampleTime(), RangeError)
+        .throws(_=> observable.sampleTime(0), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.sampleTime(1, null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.sampleTime(1).token, token);
+    },
+
+    "The latest value is sent once per period" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            calls = [];
+
+        let subscription = new Observable(observer => { source = observer })
+            .sampleTime(10, { scheduler })
+            .subscribe({
+                next(v) { calls.push([scheduler.now(), v]) },
+            });
+
+        source.next(1);
+        source.next(2);
+        scheduler.advanceBy(15);
+        scheduler.advanceBy(10);
+        source.next(3);
+        scheduler.advanceBy(10);
+
+        test._("Periods without new values are skipped")
+        .equals(calls, [[10, 2], [30, 3]]);
+
+        subscription.unsubscribe();
+        source.next(4);
+        scheduler.advanceBy(10);
+
+        test._("Unsubscribing stops sampling")
+        .equals(calls, [[10, 2], [30, 3]]);
+    },
+
+};
@@ -0,0 +1,55 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a scan property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "scan", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Argument must be a function")
+        .throws(_=> new Observable(_=> null).scan(), TypeError);
+    },
+
+    "Each accumulation is sent to the observer" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+            observer.complete();
+        }).scan((a, b) => a + b, 10).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Accumulations are sent, and complete receives the last accumulation")
+        .equals(calls, [["next", 11], ["next", 13], ["complete", 13]]);
+
+        calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+        }).scan((a, b) => a + b).subscribe({
+            next(v) { calls.push(v) },
+        });
+
+        test._("Without a seed, the first value is sent unchanged")
+        .equals(calls, [1, 3]);
+    },
+
+};
@@ -0,0 +1,183 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Scheduler has built-in schedulers" (test, { Scheduler }) {
+
+        ["default", "microtask", "macrotask", "immediate", "animationFrame"].forEach(name => {
+
+            testMethodProperty(test, Scheduler, name, {
+                get: true,
+                configurable: true,
+            });
+
+            test._(`Scheduler.${ name } is a Scheduler`)
+            .assert(Scheduler[name] instanceof Scheduler);
+        });
+    },
+
+    "Allowed arguments" (test, { Scheduler }) {
+
+        test
+        ._("The job queueing function must be a function")
+        .throws(_=> new Scheduler(), TypeError)
+        .throws(_=> new Scheduler({}), TypeError)
+        ._("The scheduled job must be a function")
+        .throws(_=> Scheduler.immediate.schedule(), TypeError)
+        .throws(_=> Scheduler.immediate.schedule({}), TypeError)
+        ;
+    },
+
+    "The immediate scheduler runs jobs synchronously" (test, { Scheduler }) {
+
+        let calls = 0;
+        Scheduler.immediate.schedule(_=> calls++);
+
+        test._("The job is called before schedule returns")
+        .equals(calls, 1);
+    },
+
+    "Microtasks run before macrotasks" (test, { Scheduler }) {
+
+        let calls = [];
+
+        return new Promise(resolve => {
+
+            Scheduler.macrotask.schedule(_=> {
+
+                calls.push("macrotask");
+
+                test._("Microtask jobs are run first")
+                .equals(calls, ["microtask", "macrotask"]);
+
+                resolve();
+            });
+
+            Scheduler.microtask.schedule(_=> calls.push("microtask"));
+
+            test._("Jobs are not run synchronously")
+            .equals(calls, []);
+        });
+    },
+
+    "Jobs may be cancelled" (test, { Scheduler }) {
+
+        let calls = 0;
+
+        Scheduler.macrotask.schedule(_=> calls++)();
+        Scheduler.macrotask.schedule(_=> calls++, 5)();
+
+        return new Promise(resolve => setTimeout(resolve, 10)).then(_=> {
+
+            test._("Cancelled jobs are not run")
+            .equals(calls, 0);
+        });
+    },
+
+    "Jobs may be delayed" (test, { Scheduler }) {
+
+        let start = Scheduler.macrotask.now();
+
+        return new Promise(resolve => {
+
+            Scheduler.macrotask.schedule(_=> {
+
+                test._("The job runs after the delay")
+                .assert(Scheduler.macrotask.now() - start >= 9);
+
+                resolve();
+
+            }, 10);
+        });
+    },
+
+    "Custom job queues" (test, { Scheduler }) {
+
+        let queue = [],
+            calls = 0;
+
+        let scheduler = new Scheduler(fn => queue.push(fn));
+        scheduler.schedule(_=> calls++);
+
+        test
+        ._("Jobs are sent to the queueing function")
+        .equals(queue.length, 1)
+        .equals(calls, 0)
+        ;
+
+        queue.shift()();
+
+        test._("Queued jobs run the scheduled function")
+        .equals(calls, 1);
+
+        let args = [];
+
+        scheduler.schedule((...values) => { args = values });
+        queue.shift()(25);
+
+        test._("Arguments from the job queue are passed to the job")
+        .equals(args, [25]);
+    },
+
+    "Observable.of does not treat arguments as schedulers" (test, { Observable, Scheduler }) {
+
+        let values = [];
+
+        Observable.of(1, Scheduler.immediate).subscribe({ next(v) { values.push(v) } });
+
+        test._("Items are not delivered synchronously")
+        .equals(values, []);
+
+        return new Promise(resolve => setTimeout(resolve, 10)).then(_=> {
+
+            test._("A trailing scheduler is delivered as an item")
+            .equals(values, [1, Scheduler.immediate]);
+        });
+    },
+
+    "Observable.from accepts a scheduler option" (test, { Observable, Scheduler }) {
+
+        let values = [];
+
+        Observable.from([1, 2, 3], { scheduler: Scheduler.immediate }).subscribe({
+            next(v) { values.push(v) },
+        });
+
+        test._("Items are delivered by the scheduler")
+        .equals(values, [1, 2, 3]);
+
+        test._("The scheduler must implement schedule")
+        .throws(_=> Observable.from([], { scheduler: {} }), TypeError);
+    },
+
+    "Subclasses may set a default scheduler" (test, { Observable, Scheduler }) {
+
+        class SyncObservable extends Observable {}
+        SyncObservable.scheduler = Scheduler.immediate;
+
+        let values = [];
+        SyncObservable.of(1, 2).subscribe({ next(v) { values.push(v) } });
+
+        test
+        ._("The subclass scheduler is used")
+        .equals(values, [1, 2])
+        ._("The default scheduler of the base class is unchanged")
+        .equals(Observable.scheduler, Scheduler.default)
+        ;
+
+        values = [];
+        SyncObservable.from([1, 2], { scheduler: Scheduler.macrotask }).subscribe({
+            next(v) { values.push(v) },
+        });
+
+        test._("An explicit scheduler overrides the default")
+        .equals(values, []);
+    },
+
+};
@@ -0,0 +1,177 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+function source(Observable, log) {
+
+    return new Observable(observer => {
+
+        log.subscribed++;
+        log.observer = observer;
+
+        return _=> { log.cleanup++ };
+    });
+}
+
+export default {
+
+    "Observable.prototype has share and publish properties" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "share", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+
+        testMethodProperty(test, Observable.prototype, "publish", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Publish returns a connectable observable" (test, { Observable, ConnectableObservable }) {
+
+        let log = { subscribed: 0, cleanup: 0 },
+            values = [];
+
+        let connectable = source(Observable, log).publish();
+
+        test._("The result is a ConnectableObservable")
+        .assert(connectable instanceof ConnectableObservable);
+
+        connectable.subscribe({ next(v) { values.push(["a", v]) } });
+        connectable.subscribe({ next(v) { values.push(["b", v]) } });
+
+        test._("The source is not subscribed until connect is called")
+        .equals(log.subscribed, 0);
+
+        let connection = connectable.connect();
+
+        test
+        ._("Connect subscribes to the source once")
+        .equals(log.subscribed, 1)
+        ._("Connecting again returns the same connection")
+        .equals(connectable.connect(), connection)
+        ;
+
+        log.observer.next(1);
+
+        test._("Values are multicast")
+        .equals(values, [["a", 1], ["b", 1]]);
+
+        connection.unsubscribe();
+
+        test._("Unsubscribing the connection cleans up the source")
+        .equals(log.cleanup, 1);
+
+        connectable.connect();
+
+        test._("Connect may be called again after disconnecting")
+        .equals(log.subscribed, 2);
+    },
+
+    "Share subscribes to the source once" (test, { Observable }) {
+
+        let log = { subscribed: 0, cleanup: 0 },
+            values = [];
+
+        let shared = source(Observable, log).share();
+
+        let a = shared.subscribe({ next(v) { values.push(["a", v]) } });
+        let b = shared.subscribe({ next(v) { values.push(["b", v]) } });
+
+        log.observer.next(1);
+
+        test
+        ._("The source is subscribed once")
+        .equals(log.subscribed, 1)
+        ._("Values are sent to every observer")
+        .equals(values, [["a", 1], ["b", 1]])
+        ;
+
+        a.unsubscribe();
+
+        test._("The source is not cleaned up while observers remain")
+        .equals(log.cleanup, 0);
+
+        b.unsubscribe();
+
+        test._("The source is cleaned up when the last observer unsubscribes")
+        .equals(log.cleanup, 1);
+
+        shared.subscribe({});
+
+        test._("A new observer restarts the source")
+        .equals(log.subscribed, 2);
+    },
+
+    "Restarting after completion" (test, { Observable }) {
+
+        let log = { subscribed: 0, cleanup: 0 },
+            calls = [];
+
+        let shared = source(Observable, log).share();
+        shared.subscribe({});
+        log.observer.complete(1);
+        shared.subscribe({ complete(v) { calls.push(v) } });
+
+        test
+        ._("By default, a finished source is restarted")
+        .equals(log.subscribed, 2)
+        .equals(calls, [])
+        ;
+
+        log = { subscribed: 0, cleanup: 0 };
+        shared = source(Observable, log).share({ restart: false });
+        shared.subscribe({});
+        log.observer.complete(1);
+        shared.subscribe({ complete(v) { calls.push(v) } });
+
+        test
+        ._("If restart is false, a finished source is not restarted")
+        .equals(log.subscribed, 1)
+        ._("If restart is false, new observers receive the completion")
+        .equals(calls, [1])
+        ;
+    },
+
+    "Share uses a subject factory" (test, { Observable, ReplaySubject }) {
+
+        let log = { subscribed: 0, cleanup: 0 },
+            values = [];
+
+        let shared = source(Observable, log).share({
+            subjectFactory: _=> new ReplaySubject({ bufferSize: 1 }),
+        });
+
+        shared.subscribe({});
+        log.observer.next(1);
+        log.observer.next(2);
+        shared.subscribe({ next(v) { values.push(v) } });
+
+        test._("Late observers receive values from the subject")
+        .equals(values, [2]);
+    },
+
+    "Species is used to determine the constructor" (test, { Observable, ConnectableObservable }) {
+
+        class MyObservable extends Observable {}
+
+        let observable = new MyObservable(_=> null);
+
+        test
+        ._("Share returns an instance of the species constructor")
+        .assert(observable.share() instanceof MyObservable)
+        ._("RefCount returns an instance of the source's species constructor")
+        .assert(observable.publish().refCount() instanceof MyObservable)
+        ._("Operators on the connectable observable are not connectable")
+        .assert(!(observable.publish().map(x => x) instanceof ConnectableObservable))
+        ;
+    },
+
+};
@@ -0,0 +1,69 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a skipWhile property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "skipWhile", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Argument must be a function")
+        .throws(_=> observable.skipWhile(), TypeError)
+        .throws(_=> observable.skipWhile({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.skipWhile(_=> true).token, token);
+    },
+
+    "Values are skipped while the predicate is true" (test, { Observable }) {
+
+        let tested = [],
+            calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 1].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).skipWhile(v => { tested.push(v); return v < 3 }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("Values are sent once the predicate is false")
+        .equals(calls, [3, 1, ["complete", "done"]])
+        ._("The predicate is not called after it returns false")
+        .equals(tested, [1, 2, 3])
+        ;
+    },
+
+};
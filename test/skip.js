@@ -0,0 +1,64 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a skip property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "skip", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Count must be a non-negative integer")
+        .throws(_=> observable.skip(), RangeError)
+        .throws(_=> observable.skip(-1), RangeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.skip(1).token, token);
+    },
+
+    "The first values are skipped" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).skip(3).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Values after the first n are sent")
+        .equals(calls, [4, 5, ["complete", "done"]]);
+    },
+
+};
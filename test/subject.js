@@ -0,0 +1,204 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+function record(calls, name) {
+
+    return {
+        next(v) { calls.push([name, "next", v]) },
+        error(e) { calls.push([name, "error", e]) },
+        complete(v) { calls.push([name, "complete", v]) },
+    };
+}
+
+export default {
+
+    "Subjects are observables" (test, { Observable, Subject }) {
+
+        let subject = new Subject();
+
+        test
+        ._("Subject instances are Observables")
+        .assert(subject instanceof Observable)
+        ._("Derived observables are not subjects")
+        .assert(!(subject.map(x => x) instanceof Subject))
+        ;
+    },
+
+    "Values are multicast to all observers" (test, { Subject }) {
+
+        let subject = new Subject(),
+            calls = [];
+
+        subject.subscribe(record(calls, "a"));
+        subject.subscribe(record(calls, "b"));
+
+        test._("The subject is not closed")
+        .equals(subject.closed, false);
+
+        test._("Next returns undefined")
+        .equals(subject.next(1), undefined);
+
+        subject.complete(2);
+
+        test
+        ._("Each observer receives the values and the completion value")
+        .equals(calls, [
+            ["a", "next", 1],
+            ["b", "next", 1],
+            ["a", "complete", 2],
+            ["b", "complete", 2],
+        ])
+        ._("The subject is closed after complete")
+        .equals(subject.closed, true)
+        ;
+    },
+
+    "The subject may be used as an observer" (test, { Observable, Subject }) {
+
+        let subject = new Subject(),
+            calls = [];
+
+        subject.subscribe(record(calls, "a"));
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.complete();
+        }).subscribe(subject);
+
+        test._("Notifications from the source are forwarded")
+        .equals(calls, [["a", "next", 1], ["a", "complete", undefined]]);
+    },
+
+    "Unsubscribed observers are removed" (test, { Subject }) {
+
+        let subject = new Subject(),
+            calls = [];
+
+        let subscription = subject.subscribe(record(calls, "a"));
+        subject.next(1);
+        subscription.unsubscribe();
+        subject.next(2);
+
+        test._("Values are not sent after unsubscribing")
+        .equals(calls, [["a", "next", 1]]);
+    },
+
+    "Closing guarantees" (test, { Subject }) {
+
+        let subject = new Subject(),
+            error = new Error(),
+            calls = [];
+
+        subject.subscribe(record(calls, "a"));
+        subject.error(error);
+        subject.next(1);
+        subject.complete();
+
+        test._("Nothing is sent after error")
+        .equals(calls, [["a", "error", error]]);
+
+        test._("Error throws if the subject is closed")
+        .throws(_=> subject.error(new Error()));
+
+        subject.subscribe(record(calls, "b"));
+
+        test._("Late observers receive the error")
+        .equals(calls[1], ["b", "error", error]);
+    },
+
+    "Errors thrown by observers" (test, { Subject }) {
+
+        let subject = new Subject(),
+            error = new Error(),
+            calls = [];
+
+        subject.subscribe({ next() { throw error } });
+        subject.subscribe(record(calls, "b"));
+
+        let thrown = null;
+
+        try { subject.next(1) }
+        catch (e) { thrown = e }
+
+        test
+        ._("Other observers are still notified")
+        .equals(calls, [["b", "next", 1]])
+        ._("The error is thrown to the caller")
+        .equals(thrown, error)
+        ;
+    },
+
+    "BehaviorSubject" (test, { BehaviorSubject }) {
+
+        let subject = new BehaviorSubject(1),
+            calls = [];
+
+        test._("The current value is available")
+        .equals(subject.value, 1);
+
+        subject.subscribe(record(calls, "a"));
+        subject.next(2);
+        subject.subscribe(record(calls, "b"));
+
+        test
+        ._("New observers receive the current value")
+        .equals(calls, [["a", "next", 1], ["a", "next", 2], ["b", "next", 2]])
+        ._("The current value is updated")
+        .equals(subject.value, 2)
+        ;
+
+        subject.complete();
+        calls = [];
+        subject.subscribe(record(calls, "c"));
+
+        test._("After completion, new observers only receive complete")
+        .equals(calls, [["c", "complete", undefined]]);
+
+        let error = new Error();
+        subject = new BehaviorSubject(1);
+        subject.error(error);
+
+        test._("The value getter throws after an error")
+        .throws(_=> subject.value);
+    },
+
+    "ReplaySubject buffers by count" (test, { ReplaySubject }) {
+
+        let subject = new ReplaySubject({ bufferSize: 2 }),
+            calls = [];
+
+        subject.next(1);
+        subject.next(2);
+        subject.next(3);
+        subject.complete();
+        subject.subscribe(record(calls, "a"));
+
+        test._("The most recent values are replayed, followed by complete")
+        .equals(calls, [["a", "next", 2], ["a", "next", 3], ["a", "complete", undefined]]);
+
+        test._("Buffer options must be non-negative numbers")
+        .throws(_=> new ReplaySubject({ bufferSize: -1 }), RangeError)
+        .throws(_=> new ReplaySubject({ windowTime: "1" }), RangeError)
+        ;
+    },
+
+    "ReplaySubject buffers by time" (test, { ReplaySubject, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            subject = new ReplaySubject({ windowTime: 10, scheduler }),
+            calls = [];
+
+        subject.next(1);
+        scheduler.advanceBy(5);
+        subject.next(2);
+        scheduler.advanceBy(6);
+        subject.subscribe(record(calls, "a"));
+
+        test._("Values older than the window are not replayed")
+        .equals(calls, [["a", "next", 2]]);
+    },
+
+};
@@ -0,0 +1,144 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Subscription.prototype has closed, add and remove properties" (test, { Observable }) {
+
+        let proto = Object.getPrototypeOf(new Observable(_=> null).subscribe({}));
+
+        testMethodProperty(test, proto, "closed", {
+            get: true,
+            configurable: true,
+        });
+
+        testMethodProperty(test, proto, "add", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+
+        testMethodProperty(test, proto, "remove", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Closed reflects the subscription state" (test, { Observable }) {
+
+        let observer = null;
+        let subscription = new Observable(x => { observer = x }).subscribe({});
+
+        test._("Closed is false while the subscription is active")
+        .equals(subscription.closed, false);
+
+        observer.complete();
+
+        test._("Closed is true after the stream finishes")
+        .equals(subscription.closed, true);
+
+        subscription = new Observable(_=> null).subscribe({});
+        subscription.unsubscribe();
+
+        test._("Closed is true after unsubscribing")
+        .equals(subscription.closed, true);
+    },
+
+    "Added teardowns are run when the subscription closes" (test, { Observable }) {
+
+        let calls = [];
+
+        let subscription = new Observable(_=> _=> calls.push("cleanup")).subscribe({});
+        let child = new Observable(_=> _=> calls.push("child")).subscribe({});
+
+        test._("Teardowns must be functions or subscriptions")
+        .throws(_=> subscription.add(null), TypeError)
+        .throws(_=> subscription.add({}), TypeError)
+        ;
+
+        subscription.add(_=> calls.push("function"));
+        subscription.add(child);
+
+        test._("Teardowns are not run while the subscription is active")
+        .equals(calls, []);
+
+        subscription.unsubscribe();
+
+        test
+        ._("The cleanup function is called, followed by each teardown")
+        .equals(calls, ["cleanup", "function", "child"])
+        ._("Child subscriptions are closed")
+        .equals(child.closed, true)
+        ;
+
+        subscription.unsubscribe();
+
+        test._("Teardowns are not run again")
+        .equals(calls.length, 3);
+    },
+
+    "Teardowns added to a closed subscription are run immediately" (test, { Observable }) {
+
+        let calls = 0;
+        let subscription = new Observable(observer => observer.complete()).subscribe({});
+
+        subscription.add(_=> calls++);
+
+        test._("The teardown is run when it is added")
+        .equals(calls, 1);
+    },
+
+    "Teardowns are run when the stream finishes" (test, { Observable }) {
+
+        let observer = null,
+            calls = 0;
+
+        let subscription = new Observable(x => { observer = x }).subscribe({ error() {} });
+        subscription.add(_=> calls++);
+        observer.error(new Error());
+
+        test._("Teardowns are run after error")
+        .equals(calls, 1);
+    },
+
+    "Removed teardowns are not run" (test, { Observable }) {
+
+        let calls = [];
+
+        let subscription = new Observable(_=> null).subscribe({});
+        let a = _=> calls.push("a");
+        let b = _=> calls.push("b");
+
+        subscription.add(a);
+        subscription.add(b);
+        subscription.remove(a);
+        subscription.remove(_=> null);
+        subscription.unsubscribe();
+
+        test._("Only the remaining teardowns are run")
+        .equals(calls, ["b"]);
+    },
+
+    "Errors thrown by teardowns" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = 0;
+
+        let subscription = new Observable(_=> null).subscribe({});
+        subscription.add(_=> { throw error });
+        subscription.add(_=> calls++);
+
+        test._("The first error is thrown after all teardowns are run")
+        .throws(_=> subscription.unsubscribe());
+
+        test._("Later teardowns are still run")
+        .equals(calls, 1);
+    },
+
+};
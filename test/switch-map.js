@@ -0,0 +1,170 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol, controlled } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has switchMap and switchAll properties" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "switchMap", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+
+        testMethodProperty(test, Observable.prototype, "switchAll", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test._("Argument must be a function")
+        .throws(_=> observable.switchMap(), TypeError)
+        .throws(_=> observable.switchMap(null), TypeError)
+        .throws(_=> observable.switchMap({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test
+        ._("Constructor species is used as the new constructor")
+        .equals(observable.switchMap(_=> {}).token, token)
+        .equals(observable.switchAll().token, token)
+        ;
+    },
+
+    "Values from the most recent inner observable are sent to the observer" (test, { Observable }) {
+
+        let outer = null,
+            a = { observers: [], cleanup: 0 },
+            b = { observers: [], cleanup: 0 },
+            values = [];
+
+        new Observable(x => { outer = x }).switchMap(x => x).subscribe({
+            next(v) { values.push(v) },
+        });
+
+        outer.next(controlled(Observable, a));
+        a.observers[0].next(1);
+        outer.next(controlled(Observable, b));
+        a.observers[0].next(2);
+        b.observers[0].next(3);
+
+        test
+        ._("Only values from the current inner observable are sent")
+        .equals(values, [1, 3])
+        ._("The previous inner observable is cleaned up")
+        .equals(a.cleanup, 1)
+        ;
+    },
+
+    "Inner values are converted with Observable.from" (test, { Observable }) {
+
+        let values = [];
+
+        return new Promise(resolve => {
+
+            Observable.of(1, 2).switchMap(x => [x, x * 10]).subscribe({
+                next(v) { values.push(v) },
+                complete() {
+                    test._("Iterables returned from the callback are flattened, switching " +
+                        "to the latest before the first is delivered")
+                    .equals(values, [2, 20]);
+                    resolve();
+                },
+            });
+        });
+    },
+
+    "Completes when the outer and inner observables complete" (test, { Observable }) {
+
+        let outer = null,
+            inner = { observers: [], cleanup: 0 },
+            completed = [];
+
+        new Observable(x => { outer = x }).switchAll().subscribe({
+            complete(v) { completed.push(v) },
+        });
+
+        outer.next(controlled(Observable, inner));
+        outer.complete("done");
+
+        test._("Does not complete while the inner observable is active")
+        .equals(completed, []);
+
+        inner.observers[0].complete();
+
+        test._("Completes with the outer completion value when the inner observable completes")
+        .equals(completed, ["done"]);
+    },
+
+    "Errors are forwarded to the observer" (test, { Observable }) {
+
+        let outer = null,
+            inner = { observers: [], cleanup: 0 },
+            error = new Error(),
+            thrown = [];
+
+        new Observable(x => { outer = x }).switchAll().subscribe({
+            error(e) { thrown.push(e) },
+        });
+
+        outer.next(controlled(Observable, inner));
+        inner.observers[0].error(error);
+
+        test._("Inner errors are forwarded")
+        .equals(thrown, [error]);
+
+        new Observable(x => { throw error }).switchMap(x => x).subscribe({
+            error(e) { thrown.push(e) },
+        });
+
+        test._("Outer errors are forwarded")
+        .equals(thrown, [error, error]);
+
+        new Observable(x => { x.next(1) }).switchMap(x => { throw error }).subscribe({
+            error(e) { thrown.push(e) },
+        });
+
+        test._("Exceptions from the callback are sent to the observer")
+        .equals(thrown, [error, error, error]);
+    },
+
+    "Unsubscribing cleans up the outer and inner observables" (test, { Observable }) {
+
+        let outer = { observers: [], cleanup: 0 },
+            inner = { observers: [], cleanup: 0 };
+
+        let subscription = controlled(Observable, outer).switchAll().subscribe({});
+        outer.observers[0].next(controlled(Observable, inner));
+        subscription.unsubscribe();
+
+        test
+        ._("The outer observable is cleaned up")
+        .equals(outer.cleanup, 1)
+        ._("The inner observable is cleaned up")
+        .equals(inner.cleanup, 1)
+        ;
+    },
+
+};
@@ -0,0 +1,203 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+function iterate(observable, options) {
+
+    return observable[getSymbol("asyncIterator")](options);
+}
+
+function collect(iterator, count) {
+
+    let results = [];
+
+    function next() {
+
+        if (results.length >= count)
+            return results;
+
+        return iterator.next().then(result => {
+            results.push(result);
+            return next();
+        });
+    }
+
+    return Promise.resolve().then(next);
+}
+
+export default {
+
+    "Observable.prototype has a Symbol.asyncIterator method" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, getSymbol("asyncIterator"), {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed buffer policies" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The default policy is allowed")
+        .not().throws(_=> iterate(observable))
+        .not().throws(_=> iterate(observable, { policy: "unbounded" }))
+        .not().throws(_=> iterate(observable, { policy: "latest" }))
+        .not().throws(_=> iterate(observable, { policy: "drop-oldest", size: 2 }))
+        ._("Unknown policies are rejected")
+        .throws(_=> iterate(observable, { policy: "newest" }), TypeError)
+        ._("The drop-oldest policy requires a positive integer size")
+        .throws(_=> iterate(observable, { policy: "drop-oldest" }), RangeError)
+        .throws(_=> iterate(observable, { policy: "drop-oldest", size: 0 }), RangeError)
+        .throws(_=> iterate(observable, { policy: "drop-oldest", size: 1.5 }), RangeError)
+        ;
+    },
+
+    "The iterator is async iterable" (test, { Observable }) {
+
+        let iterator = iterate(new Observable(_=> null));
+
+        test._("Symbol.asyncIterator returns the iterator itself")
+        .equals(iterator[getSymbol("asyncIterator")](), iterator);
+    },
+
+    "Subscribes lazily" (test, { Observable }) {
+
+        let subscribed = 0;
+        let iterator = iterate(new Observable(_=> { subscribed++ }));
+
+        test._("The observable is not subscribed until next is called")
+        .equals(subscribed, 0);
+
+        iterator.next();
+        iterator.next();
+
+        test._("The observable is subscribed once")
+        .equals(subscribed, 1);
+    },
+
+    "Values are delivered in order" (test, { Observable }) {
+
+        let observer = null;
+        let iterator = iterate(new Observable(x => { observer = x }));
+        let results = collect(iterator, 4);
+
+        return Promise.resolve().then(_=> {
+
+            observer.next(1);
+            observer.next(2);
+            observer.next(3);
+            observer.complete();
+
+            return results;
+
+        }).then(results => {
+
+            test._("Buffered and requested values are delivered, then done")
+            .equals(results, [
+                { value: 1, done: false },
+                { value: 2, done: false },
+                { value: 3, done: false },
+                { value: undefined, done: true },
+            ]);
+        });
+    },
+
+    "Drop-oldest policy" (test, { Observable }) {
+
+        let iterator = iterate(new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(x => observer.next(x));
+            observer.complete();
+        }), { policy: "drop-oldest", size: 2 });
+
+        return collect(iterator, 3).then(results => {
+
+            test._("Only the most recent values within the size limit are kept")
+            .equals(results.map(r => r.value), [4, 5, undefined]);
+        });
+    },
+
+    "Latest policy" (test, { Observable }) {
+
+        let iterator = iterate(new Observable(observer => {
+            [1, 2, 3].forEach(x => observer.next(x));
+            observer.complete();
+        }), { policy: "latest" });
+
+        return collect(iterator, 2).then(results => {
+
+            test._("Only the latest value is kept")
+            .equals(results.map(r => r.value), [3, undefined]);
+        });
+    },
+
+    "Errors reject after buffered values" (test, { Observable }) {
+
+        let error = new Error();
+
+        let iterator = iterate(new Observable(observer => {
+            observer.next(1);
+            observer.error(error);
+        }));
+
+        return iterator.next().then(result => {
+
+            test._("Buffered values are delivered before the error")
+            .equals(result, { value: 1, done: false });
+
+            return iterator.next();
+
+        }).then(_=> null, e => e).then(e => {
+
+            test._("The error is delivered as a rejection")
+            .equals(e, error);
+
+            return iterator.next();
+
+        }).then(result => {
+
+            test._("After the error, the iterator is done")
+            .equals(result, { value: undefined, done: true });
+        });
+    },
+
+    "Return cancels the subscription" (test, { Observable }) {
+
+        let cleanup = 0;
+        let iterator = iterate(new Observable(_=> _=> { cleanup++ }));
+        let pending = iterator.next();
+
+        return iterator.return("x").then(result => {
+
+            test
+            ._("Return resolves with the supplied value")
+            .equals(result, { value: "x", done: true })
+            ._("The cleanup function is called")
+            .equals(cleanup, 1);
+
+            return pending;
+
+        }).then(result => {
+
+            test._("Pending requests are resolved as done")
+            .equals(result, { value: undefined, done: true });
+
+            return iterator.next();
+
+        }).then(result => {
+
+            test
+            ._("Next resolves as done after return")
+            .equals(result, { value: undefined, done: true })
+            ._("The observable is not resubscribed")
+            .equals(cleanup, 1);
+        });
+    },
+
+};
@@ -0,0 +1,77 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { getSymbol } from "./helpers.js";
+
+export default {
+
+    "Subscriptions have dispose methods" (test, { Observable }) {
+
+        let subscription = new Observable(_=> null).subscribe({}),
+            proto = Object.getPrototypeOf(subscription);
+
+        test
+        ._("Symbol.dispose is defined on the prototype object")
+        .equals(typeof proto[getSymbol("dispose")], "function")
+        ._("Symbol.asyncDispose is defined on the prototype object")
+        .equals(typeof proto[getSymbol("asyncDispose")], "function")
+        ._("The dispose methods are not enumerable")
+        .equals(Object.getOwnPropertyDescriptor(proto, getSymbol("dispose")).enumerable, false)
+        ;
+    },
+
+    "Dispose cancels the subscription" (test, { Observable }) {
+
+        let cleanup = 0;
+        let subscription = new Observable(_=> _=> { cleanup++ }).subscribe({});
+
+        test._("Dispose returns undefined")
+        .equals(subscription[getSymbol("dispose")](), undefined);
+
+        subscription[getSymbol("dispose")]();
+
+        test._("The cleanup function is called once")
+        .equals(cleanup, 1);
+    },
+
+    "Async dispose waits for asynchronous cleanup" (test, { Observable }) {
+
+        let finished = false;
+
+        let subscription = new Observable(_=> _=> {
+            return new Promise(resolve => setTimeout(resolve, 5)).then(_=> { finished = true });
+        }).subscribe({});
+
+        let result = subscription[getSymbol("asyncDispose")]();
+
+        test._("Async dispose returns a promise")
+        .assert(result instanceof Promise);
+
+        return result.then(value => {
+
+            test
+            ._("The promise resolves after the cleanup promise")
+            .equals(finished, true)
+            ._("The promise resolves with undefined")
+            .equals(value, undefined)
+            ;
+        });
+    },
+
+    "Async dispose rejects if cleanup fails" (test, { Observable }) {
+
+        let error = new Error();
+
+        let subscription = new Observable(_=> _=> Promise.reject(error)).subscribe({});
+
+        return subscription[getSymbol("asyncDispose")]().then(_=> null, e => e).then(e => {
+
+            test._("The promise is rejected with the cleanup error")
+            .equals(e, error);
+        });
+    },
+
+};
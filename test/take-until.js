@@ -0,0 +1,151 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a takeUntil property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "takeUntil", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test._("Argument must be convertible to an observable")
+        .throws(_=> observable.takeUntil(), TypeError)
+        .throws(_=> observable.takeUntil(null), TypeError)
+        .not().throws(_=> observable.takeUntil(new Observable(_=> null)))
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.takeUntil(new Observable(_=> null)).token, token);
+    },
+
+    "Values are sent until the notifier emits" (test, { Observable }) {
+
+        let source = null,
+            notifier = null,
+            cleanup = [],
+            values = [],
+            completed = 0;
+
+        new Observable(x => {
+            source = x;
+            return _=> cleanup.push("source");
+        }).takeUntil(new Observable(x => {
+            notifier = x;
+            return _=> cleanup.push("notifier");
+        })).subscribe({
+            next(v) { values.push(v) },
+            complete() { completed++ },
+        });
+
+        source.next(1);
+        notifier.next();
+        source.next(2);
+
+        test
+        ._("Values are not sent after the notifier emits")
+        .equals(values, [1])
+        ._("The result completes")
+        .equals(completed, 1)
+        ._("The source and notifier are cleaned up")
+        .equals(cleanup, ["notifier", "source"])
+        ;
+    },
+
+    "Notifier completion does not complete the result" (test, { Observable }) {
+
+        let source = null,
+            notifier = null,
+            cleanup = 0,
+            values = [];
+
+        new Observable(x => { source = x }).takeUntil(new Observable(x => {
+            notifier = x;
+            return _=> cleanup++;
+        })).subscribe({
+            next(v) { values.push(v) },
+        });
+
+        notifier.complete();
+        source.next(1);
+
+        test
+        ._("Values are still sent")
+        .equals(values, [1])
+        ._("The notifier is cleaned up when it completes")
+        .equals(cleanup, 1)
+        ;
+    },
+
+    "A synchronous notifier prevents subscription" (test, { Observable }) {
+
+        let subscribed = 0,
+            completed = 0;
+
+        new Observable(_=> { subscribed++ })
+        .takeUntil(new Observable(x => { x.next() }))
+        .subscribe({ complete() { completed++ } });
+
+        test
+        ._("The source is not subscribed")
+        .equals(subscribed, 0)
+        ._("The result completes")
+        .equals(completed, 1)
+        ;
+    },
+
+    "Errors are forwarded to the observer" (test, { Observable }) {
+
+        let error = new Error(),
+            thrown = [];
+
+        new Observable(_=> null).takeUntil(new Observable(x => { x.error(error) })).subscribe({
+            error(e) { thrown.push(e) },
+        });
+
+        new Observable(x => { x.error(error) }).takeUntil(new Observable(_=> null)).subscribe({
+            error(e) { thrown.push(e) },
+        });
+
+        test._("Errors from the notifier and the source are forwarded")
+        .equals(thrown, [error, error]);
+    },
+
+    "Source completion is forwarded" (test, { Observable }) {
+
+        let completed = [];
+
+        new Observable(x => { x.complete("done") }).takeUntil(new Observable(_=> null)).subscribe({
+            complete(v) { completed.push(v) },
+        });
+
+        test._("The completion value is forwarded")
+        .equals(completed, ["done"]);
+    },
+
+};
@@ -0,0 +1,100 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a takeWhile property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "takeWhile", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Argument must be a function")
+        .throws(_=> observable.takeWhile(), TypeError)
+        .throws(_=> observable.takeWhile({}), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.takeWhile(_=> true).token, token);
+    },
+
+    "Values are sent while the predicate is true" (test, { Observable }) {
+
+        let cleanup = 0,
+            calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4].forEach(v => observer.next(v));
+            return _=> { cleanup++ };
+        }).takeWhile(v => v < 3).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("Completion is sent when the predicate is false")
+        .equals(calls, [1, 2, ["complete", undefined]])
+        ._("The source is cleaned up once")
+        .equals(cleanup, 1)
+        ;
+
+        calls = [];
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).takeWhile(v => v < 3, true).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("If inclusive is true, the failing value is sent")
+        .equals(calls, [1, 2, 3, ["complete", undefined]]);
+    },
+
+    "Errors thrown by the predicate" (test, { Observable }) {
+
+        let error = new Error(),
+            calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).takeWhile(_=> { throw error }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The error is sent to the observer")
+        .equals(calls, [["error", error]]);
+    },
+
+};
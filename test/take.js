@@ -0,0 +1,142 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a take property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "take", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Count must be a non-negative integer")
+        .throws(_=> observable.take(), RangeError)
+        .throws(_=> observable.take(-1), RangeError)
+        .throws(_=> observable.take(1.5), RangeError)
+        .not().throws(_=> observable.take(Infinity))
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.take(1).token, token);
+    },
+
+    "The first values are sent, followed by completion" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).take(2).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Completion is sent after the nth value")
+        .equals(calls, [1, 2, ["complete", undefined]]);
+
+        calls = [];
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete("done");
+        }).take(10).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("If the source completes first, its completion value is sent")
+        .equals(calls, [1, 2, 3, 4, 5, ["complete", "done"]]);
+    },
+
+    "The source is unsubscribed within a synchronous subscriber" (test, { Observable }) {
+
+        let cleanup = 0,
+            sent = [],
+            calls = [];
+
+        new Observable(observer => {
+
+            for (let i = 1; i <= 5 && !observer.closed; ++i) {
+                sent.push(i);
+                observer.next(i);
+            }
+
+            return _=> { cleanup++ };
+
+        }).take(2).subscribe({ next(v) { calls.push(v) } });
+
+        test
+        ._("The source is closed after the nth value")
+        .equals(sent, [1, 2])
+        ._("Only the first n values are delivered")
+        .equals(calls, [1, 2])
+        ._("The cleanup function is called once")
+        .equals(cleanup, 1)
+        ;
+    },
+
+    "Synchronous sources with an immediate scheduler" (test, { Observable, Scheduler }) {
+
+        let calls = [];
+
+        class SyncObservable extends Observable {}
+        SyncObservable.scheduler = Scheduler.immediate;
+
+        SyncObservable.of(1, 2, 3).take(1).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Observable.of stops delivering after the nth value")
+        .equals(calls, [1, ["complete", undefined]]);
+    },
+
+    "Take zero" (test, { Observable }) {
+
+        let subscribed = 0,
+            calls = [];
+
+        new Observable(_=> { subscribed++ }).take(0).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test
+        ._("The source is not subscribed")
+        .equals(subscribed, 0)
+        ._("Completion is sent immediately")
+        .equals(calls, [["complete", undefined]])
+        ;
+    },
+
+};
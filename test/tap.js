@@ -0,0 +1,107 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a tap property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "tap", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Argument must be a function or an object")
+        .throws(_=> observable.tap(), TypeError)
+        .throws(_=> observable.tap(1), TypeError)
+        .not().throws(_=> observable.tap({}))
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.tap(_=> null).token, token);
+    },
+
+    "Handlers are called before values are forwarded" (test, { Observable }) {
+
+        let calls = [];
+
+        new Observable(observer => {
+            observer.next(1);
+            observer.complete("done");
+        }).tap({
+            next(v) { calls.push(["tap next", v]) },
+            complete(v) { calls.push(["tap complete", v]) },
+        }).subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Each notification is seen by the handlers and then forwarded")
+        .equals(calls, [
+            ["tap next", 1],
+            ["next", 1],
+            ["tap complete", "done"],
+            ["complete", "done"],
+        ]);
+
+        calls = [];
+
+        new Observable(observer => { observer.next(1) })
+            .tap(v => calls.push(["tap", v]))
+            .subscribe({ next(v) { calls.push(["next", v]) } });
+
+        test._("A function is used as the next handler")
+        .equals(calls, [["tap", 1], ["next", 1]]);
+    },
+
+    "Errors thrown by handlers" (test, { Observable }) {
+
+        let error = new Error(),
+            other = new Error(),
+            calls = [];
+
+        new Observable(observer => { observer.next(1) })
+            .tap(_=> { throw error })
+            .subscribe({
+                next(v) { calls.push(["next", v]) },
+                error(e) { calls.push(["error", e]) },
+            });
+
+        test._("An error thrown by the next handler is sent to the observer")
+        .equals(calls, [["error", error]]);
+
+        calls = [];
+
+        new Observable(observer => { observer.error(other) })
+            .tap({ error() { throw error } })
+            .subscribe({ error(e) { calls.push(["error", e]) } });
+
+        test._("An error thrown by the error handler replaces the error")
+        .equals(calls, [["error", error]]);
+    },
+
+};
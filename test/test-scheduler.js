@@ -0,0 +1,140 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+export default {
+
+    "TestScheduler is a Scheduler" (test, { Scheduler, TestScheduler }) {
+
+        let scheduler = new TestScheduler();
+
+        test
+        ._("TestScheduler instances are Schedulers")
+        .assert(scheduler instanceof Scheduler)
+        ._("The virtual clock starts at zero")
+        .equals(scheduler.now(), 0)
+        ;
+    },
+
+    "Jobs are not run until time is advanced" (test, { TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        scheduler.schedule(_=> calls.push("a"));
+
+        test._("Jobs are not run synchronously")
+        .equals(calls, []);
+
+        scheduler.flush();
+
+        test
+        ._("Flush runs jobs which are due")
+        .equals(calls, ["a"])
+        ._("Flush does not advance the clock")
+        .equals(scheduler.now(), 0)
+        ;
+    },
+
+    "advanceBy runs jobs in due time order" (test, { TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        scheduler.schedule(_=> calls.push(["c", scheduler.now()]), 30);
+        scheduler.schedule(_=> calls.push(["a", scheduler.now()]), 10);
+        scheduler.schedule(_=> calls.push(["b", scheduler.now()]), 10);
+
+        scheduler.advanceBy(20);
+
+        test
+        ._("Jobs due within the interval are run in order, at their due time")
+        .equals(calls, [["a", 10], ["b", 10]])
+        ._("The clock is advanced by the given amount")
+        .equals(scheduler.now(), 20)
+        ;
+
+        scheduler.advanceBy(10);
+
+        test._("Remaining jobs are run when they become due")
+        .equals(calls, [["a", 10], ["b", 10], ["c", 30]]);
+
+        test._("Time must be a non-negative number")
+        .throws(_=> scheduler.advanceBy(-1), RangeError)
+        .throws(_=> scheduler.advanceBy("1"), RangeError)
+        ;
+    },
+
+    "Jobs scheduled by jobs" (test, { TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        scheduler.schedule(_=> {
+            calls.push(scheduler.now());
+            scheduler.schedule(_=> calls.push(scheduler.now()));
+            scheduler.schedule(_=> calls.push(scheduler.now()), 5);
+        }, 5);
+
+        scheduler.advanceBy(5);
+
+        test._("Jobs scheduled for the current time are run by advanceBy")
+        .equals(calls, [5, 5]);
+
+        scheduler.runUntilIdle();
+
+        test
+        ._("runUntilIdle runs all remaining jobs")
+        .equals(calls, [5, 5, 10])
+        ._("runUntilIdle advances the clock to the last job")
+        .equals(scheduler.now(), 10)
+        ;
+    },
+
+    "Jobs may be cancelled" (test, { TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = 0;
+
+        let cancel = scheduler.schedule(_=> calls++, 10);
+        cancel();
+        scheduler.runUntilIdle();
+
+        test._("Cancelled jobs are not run")
+        .equals(calls, 0);
+    },
+
+    "runUntilIdle detects periodic jobs" (test, { TestScheduler }) {
+
+        let scheduler = new TestScheduler();
+
+        function tick() { scheduler.schedule(tick, 1) }
+        tick();
+
+        test._("An error is thrown if the limit is exceeded")
+        .throws(_=> scheduler.runUntilIdle(100), Error);
+    },
+
+    "Controls delivery for Observable.of and Observable.from" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            values = [];
+
+        class TestObservable extends Observable {}
+        TestObservable.scheduler = scheduler;
+
+        TestObservable.of(1, 2).subscribe({ next(v) { values.push(v) } });
+        Observable.from([3, 4], { scheduler }).subscribe({ next(v) { values.push(v) } });
+
+        test._("Values are not delivered until the scheduler runs")
+        .equals(values, []);
+
+        scheduler.flush();
+
+        test._("Values are delivered when the scheduler is flushed")
+        .equals(values, [1, 2, 3, 4]);
+    },
+
+};
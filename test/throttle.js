@@ -0,0 +1,107 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+function run(Observable, scheduler, options) {
+
+    let source = null,
+        calls = [];
+
+    new Observable(observer => { source = observer })
+        .throttle(10, Object.assign({ scheduler }, options))
+        .subscribe({
+            next(v) { calls.push([scheduler.now(), v]) },
+            complete() { calls.push([scheduler.now(), "complete"]) },
+        });
+
+    source.next(1);
+    scheduler.advanceBy(4);
+    source.next(2);
+    scheduler.advanceBy(4);
+    source.next(3);
+    scheduler.advanceBy(4);
+    source.next(4);
+    scheduler.advanceBy(20);
+    source.next(5);
+    source.complete();
+
+    return calls;
+}
+
+export default {
+
+    "Observable.prototype has a throttle property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "throttle", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Duration must be a non-negative number")
+        .throws(_=> observable.throttle(), RangeError)
+        .throws(_=> observable.throttle(-1), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.throttle(1, null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.throttle(1).token, token);
+    },
+
+    "Leading values" (test, { Observable, TestScheduler }) {
+
+        test._("By default, the first value of each period is sent")
+        .equals(run(Observable, new TestScheduler(), {}), [
+            [0, 1],
+            [12, 4],
+            [32, 5],
+            [32, "complete"],
+        ]);
+    },
+
+    "Trailing values" (test, { Observable, TestScheduler }) {
+
+        test
+        ._("With trailing, the last value of each period is also sent")
+        .equals(run(Observable, new TestScheduler(), { trailing: true }), [
+            [0, 1],
+            [10, 3],
+            [20, 4],
+            [32, 5],
+            [32, "complete"],
+        ])
+        ._("Without leading, only trailing values are sent")
+        .equals(run(Observable, new TestScheduler(), { leading: false, trailing: true }), [
+            [10, 3],
+            [20, 4],
+            [32, 5],
+            [32, "complete"],
+        ])
+        ;
+    },
+
+};
@@ -0,0 +1,83 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a throwError property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "throwError", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("Options must be an object")
+        .throws(_=> Observable.throwError(1, null), TypeError)
+        ._("The scheduler must have a schedule method")
+        .throws(_=> Observable.throwError(1, { scheduler: {} }), TypeError)
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.throwError.call(function() { usesThis = true }, 1);
+
+        test._("Observable.throwError will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "The error is sent by the scheduler" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            error = new Error(),
+            calls = [];
+
+        Observable.throwError(error, { scheduler }).subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("Nothing is sent synchronously")
+        .equals(calls, []);
+
+        scheduler.flush();
+
+        test._("The error is sent when the scheduler runs")
+        .equals(calls, [["error", error]]);
+    },
+
+    "Error factories" (test, { Observable, Scheduler }) {
+
+        let created = 0,
+            calls = [];
+
+        let observable = Observable.throwError(_=> ++created, { scheduler: Scheduler.immediate });
+
+        observable.subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+        observable.subscribe({
+            next(v) { calls.push(v) },
+            error(e) { calls.push(["error", e]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("A function argument creates the error for each subscription")
+        .equals(calls, [["error", 1], ["error", 2]]);
+    },
+
+};
@@ -0,0 +1,127 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a timeout property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "timeout", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("Due time must be a non-negative number")
+        .throws(_=> observable.timeout(), RangeError)
+        .throws(_=> observable.timeout(-1), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.timeout(1, null), TypeError)
+        ._("The fallback must be convertible to an observable")
+        .throws(_=> observable.timeout(1, { fallback: null }), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.timeout(1).token, token);
+    },
+
+    "TimeoutError is sent if no value arrives in time" (test, { Observable, TestScheduler, TimeoutError }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            cleanup = 0,
+            calls = [];
+
+        new Observable(observer => {
+            source = observer;
+            return _=> { cleanup++ };
+        }).timeout(10, { scheduler }).subscribe({
+            next(v) { calls.push([scheduler.now(), v]) },
+            error(e) { calls.push([scheduler.now(), e]) },
+        });
+
+        scheduler.advanceBy(8);
+        source.next(1);
+        scheduler.advanceBy(8);
+        source.next(2);
+        scheduler.advanceBy(10);
+
+        test
+        ._("The timer is restarted after each value")
+        .equals(calls.slice(0, 2), [[8, 1], [16, 2]])
+        ._("The error is sent when the timer ends")
+        .equals(calls[2][0], 26)
+        ._("The error is a TimeoutError")
+        .assert(calls[2][1] instanceof TimeoutError)
+        .assert(calls[2][1] instanceof Error)
+        .equals(calls[2][1].name, "TimeoutError")
+        ._("The source is cleaned up")
+        .equals(cleanup, 1)
+        ;
+    },
+
+    "Switching to a fallback" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            cleanup = 0,
+            calls = [];
+
+        new Observable(_=> _=> { cleanup++ })
+            .timeout(10, { scheduler, fallback: Observable.from([1, 2], { scheduler }) })
+            .subscribe({
+                next(v) { calls.push([scheduler.now(), v]) },
+                complete() { calls.push([scheduler.now(), "complete"]) },
+            });
+
+        scheduler.runUntilIdle();
+
+        test
+        ._("The source is cleaned up")
+        .equals(cleanup, 1)
+        ._("The fallback is subscribed when the timer ends")
+        .equals(calls, [[10, 1], [10, 2], [10, "complete"]])
+        ;
+    },
+
+    "Completion cancels the timer" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        new Observable(observer => { observer.complete() })
+            .timeout(10, { scheduler })
+            .subscribe({
+                error(e) { calls.push("error") },
+                complete() { calls.push("complete") },
+            });
+
+        scheduler.runUntilIdle();
+
+        test._("No error is sent after completion")
+        .equals(calls, ["complete"]);
+    },
+
+};
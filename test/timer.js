@@ -0,0 +1,126 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+function lateScheduler(scheduler, lateness) {
+
+    // Runs every job later than requested, like a busy event loop
+    return {
+        now() { return scheduler.now() },
+        schedule(fn, delay) { return scheduler.schedule(fn, delay + lateness) },
+    };
+}
+
+export default {
+
+    "Observable has timer and interval properties" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "timer", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+
+        testMethodProperty(test, Observable, "interval", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test
+        ._("Due time must be a non-negative number or a Date")
+        .throws(_=> Observable.timer(), RangeError)
+        .throws(_=> Observable.timer(-1), RangeError)
+        .not().throws(_=> Observable.timer(new Date()))
+        ._("Period must be a positive number")
+        .throws(_=> Observable.timer(0, 0), RangeError)
+        .throws(_=> Observable.interval(0), RangeError)
+        .throws(_=> Observable.interval(), RangeError)
+        ._("Options must be an object")
+        .throws(_=> Observable.timer(0, undefined, null), TypeError)
+        .throws(_=> Observable.interval(1, null), TypeError)
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = 0;
+
+        Observable.timer.call(function() { usesThis++ }, 1);
+        Observable.interval.call(function() { usesThis++ }, 1);
+
+        test._("Observable.timer and Observable.interval will use the 'this' value if it is callable")
+        .equals(usesThis, 2);
+    },
+
+    "A timer without a period sends one value" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        Observable.timer(10, undefined, { scheduler }).subscribe({
+            next(v) { calls.push([scheduler.now(), v]) },
+            complete() { calls.push([scheduler.now(), "complete"]) },
+        });
+
+        scheduler.runUntilIdle();
+
+        test._("Zero is sent at the due time, followed by completion")
+        .equals(calls, [[10, 0], [10, "complete"]]);
+    },
+
+    "Periodic timers" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            calls = [];
+
+        let subscription = Observable.timer(5, 10, { scheduler }).subscribe({
+            next(v) { calls.push([scheduler.now(), v]) },
+        });
+
+        scheduler.advanceBy(30);
+
+        test._("Increasing numbers are sent after the due time and then every period")
+        .equals(calls, [[5, 0], [15, 1], [25, 2]]);
+
+        subscription.unsubscribe();
+        scheduler.advanceBy(30);
+
+        test._("Unsubscribing cancels the timer")
+        .equals(calls.length, 3);
+
+        calls = [];
+
+        Observable.interval(10, { scheduler }).subscribe({
+            next(v) { calls.push([scheduler.now(), v]) },
+        });
+
+        scheduler.advanceBy(20);
+
+        test._("Intervals start after one period")
+        .equals(calls, [[70, 0], [80, 1]]);
+    },
+
+    "Periodic timers correct for drift" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            times = [];
+
+        Observable.interval(10, { scheduler: lateScheduler(scheduler, 3) }).subscribe({
+            next() { times.push(scheduler.now()) },
+        });
+
+        scheduler.advanceBy(45);
+
+        test._("Late jobs do not delay later values")
+        .equals(times, [13, 23, 33, 43]);
+    },
+
+};
@@ -0,0 +1,51 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a toArray property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "toArray", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Values are collected into an array" (test, { Observable }) {
+
+        let calls = [];
+
+        let observable = new Observable(observer => {
+            observer.next(1);
+            observer.next(2);
+            observer.complete();
+        }).toArray();
+
+        observable.subscribe({
+            next(v) { calls.push(["next", v]) },
+            complete(v) { calls.push(["complete", v]) },
+        });
+
+        test._("The array is sent to next and complete")
+        .equals(calls, [["next", [1, 2]], ["complete", [1, 2]]]);
+
+        let first = null;
+        observable.subscribe({ next(v) { first = v } });
+        observable.subscribe({ next(v) { v.push(3) } });
+
+        test._("Each subscription has its own array")
+        .equals(first, [1, 2]);
+
+        return Observable.of(1, 2, 3).toArray().forEach(_=> null).then(value => {
+            test._("forEach resolves with the array")
+            .equals(value, [1, 2, 3]);
+        });
+    },
+
+};
@@ -0,0 +1,60 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a toPromise property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "toPromise", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Resolves with the last value" (test, { Observable }) {
+
+        return Observable.of(1, 2).toPromise().then(value => {
+            test._("The promise resolves with the last value")
+            .equals(value, 2);
+        });
+    },
+
+    "Empty sequences" (test, { Observable, EmptyError }) {
+
+        let empty = new Observable(observer => observer.complete());
+
+        return empty.toPromise().then(_=> null, e => e).then(error => {
+
+            test._("The promise is rejected with an EmptyError")
+            .assert(error instanceof EmptyError);
+
+            return empty.toPromise({ defaultValue: "default" });
+
+        }).then(value => {
+
+            test._("The default value is used if provided")
+            .equals(value, "default");
+        });
+    },
+
+    "Accepts an AbortSignal" (test, { Observable }) {
+
+        let controller = new AbortController(),
+            reason = {};
+
+        controller.abort(reason);
+
+        return new Observable(_=> null).toPromise({ signal: controller.signal })
+        .then(_=> null, e => e).then(e => {
+            test._("An aborted signal rejects the promise")
+            .equals(e, reason);
+        });
+    },
+
+};
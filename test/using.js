@@ -0,0 +1,176 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+function resource(log) {
+
+    return {
+        [getSymbol("dispose")]() { log.push("dispose") },
+    };
+}
+
+export default {
+
+    "Observable has a using property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "using", {
+            configurable: true,
+            writable: true,
+            length: 2,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Arguments must be functions")
+        .throws(_=> Observable.using(), TypeError)
+        .throws(_=> Observable.using(_=> null), TypeError)
+        .throws(_=> Observable.using({}, _=> null), TypeError)
+        ;
+    },
+
+    "Uses the this value if it's a function" (test, { Observable }) {
+
+        let usesThis = false;
+
+        Observable.using.call(function() { usesThis = true }, _=> null, _=> []);
+
+        test._("Observable.using will use the 'this' value if it is callable")
+        .equals(usesThis, true);
+    },
+
+    "A resource is created for each subscription" (test, { Observable }) {
+
+        let log = [],
+            resources = [],
+            observer = null;
+
+        let observable = Observable.using(_=> {
+
+            log.push("create");
+            return resource(log);
+
+        }, r => {
+
+            resources.push(r);
+
+            return new Observable(x => {
+                observer = x;
+                return _=> log.push("cleanup");
+            });
+        });
+
+        test._("The resource factory is not called until subscription")
+        .equals(log, []);
+
+        let subscription = observable.subscribe({});
+        observable.subscribe({});
+
+        test
+        ._("The resource factory is called for each subscription")
+        .equals(log, ["create", "create"])
+        ._("The resource is passed to the observable factory")
+        .assert(resources.length === 2 && resources[0] !== resources[1])
+        ;
+
+        log.length = 0;
+        subscription.unsubscribe();
+
+        test._("The resource is disposed after the inner cleanup")
+        .equals(log, ["cleanup", "dispose"]);
+    },
+
+    "The resource is disposed when the stream finishes" (test, { Observable }) {
+
+        let log = [],
+            completed = false;
+
+        Observable.using(_=> resource(log), _=> new Observable(observer => {
+            observer.next(1);
+            observer.complete();
+        })).subscribe({ complete() { completed = true } });
+
+        test
+        ._("Notifications are forwarded")
+        .equals(completed, true)
+        ._("The resource is disposed")
+        .equals(log, ["dispose"])
+        ;
+    },
+
+    "The resource is disposed if the observable factory throws" (test, { Observable }) {
+
+        let log = [],
+            error = new Error(),
+            thrown = null;
+
+        Observable.using(_=> resource(log), _=> { throw error }).subscribe({
+            error(e) { thrown = e },
+        });
+
+        test
+        ._("The error is sent to the observer")
+        .equals(thrown, error)
+        ._("The resource is disposed")
+        .equals(log, ["dispose"])
+        ;
+    },
+
+    "Asynchronous disposal is awaited" (test, { Observable }) {
+
+        let log = [],
+            error = new Error();
+
+        function asyncResource(fail) {
+
+            return {
+                [getSymbol("asyncDispose")]() {
+                    log.push("dispose");
+                    return new Promise(resolve => setTimeout(resolve, 10)).then(_=> {
+                        log.push("disposed");
+                        if (fail) throw error;
+                    });
+                },
+            };
+        }
+
+        let subscription = Observable.using(_=> asyncResource(false), _=> new Observable(_=> null))
+            .subscribe({});
+
+        return subscription[getSymbol("asyncDispose")]().then(_=> {
+
+            test._("Symbol.asyncDispose waits for the resource to be disposed")
+            .equals(log, ["dispose", "disposed"]);
+
+            log.length = 0;
+
+            subscription = Observable.using(_=> asyncResource(true), _=> new Observable(_=> null))
+                .subscribe({});
+
+            return subscription[getSymbol("asyncDispose")]().then(_=> null, e => e);
+
+        }).then(result => {
+
+            test._("A rejected disposal rejects the promise")
+            .equals(result, error);
+
+            log.length = 0;
+
+            Observable.using(_=> asyncResource(true), _=> new Observable(_=> null))
+                .subscribe({})
+                .unsubscribe();
+
+            return new Promise(resolve => setTimeout(resolve, 20));
+
+        }).then(_=> {
+
+            test._("A rejected disposal which is not awaited is ignored")
+            .equals(log, ["dispose", "disposed"]);
+        });
+    },
+
+};
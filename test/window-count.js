@@ -0,0 +1,87 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a windowCount property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "windowCount", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The size must be a positive integer")
+        .throws(_=> observable.windowCount(), RangeError)
+        .throws(_=> observable.windowCount(0), RangeError)
+        ._("The interval must be a positive integer")
+        .throws(_=> observable.windowCount(1, 0), RangeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.windowCount(1).token, token);
+    },
+
+    "Values are split into windows of a fixed size" (test, { Observable }) {
+
+        let windows = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4, 5].forEach(v => observer.next(v));
+            observer.complete();
+        }).windowCount(2).subscribe({
+            next(w) {
+                let calls = [];
+                windows.push(calls);
+                w.subscribe({ next(v) { calls.push(v) } });
+            },
+        });
+
+        test._("A window is opened after each window closes")
+        .equals(windows, [[1, 2], [3, 4], [5]]);
+    },
+
+    "Windows may overlap" (test, { Observable }) {
+
+        let windows = [];
+
+        new Observable(observer => {
+            [1, 2, 3, 4].forEach(v => observer.next(v));
+            observer.complete();
+        }).windowCount(2, 1).subscribe({
+            next(w) {
+                let calls = [];
+                windows.push(calls);
+                w.subscribe({ next(v) { calls.push(v) } });
+            },
+        });
+
+        test._("A new window is opened every interval")
+        .equals(windows, [[1, 2], [2, 3], [3, 4], [4], []]);
+    },
+
+};
@@ -0,0 +1,78 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a windowTime property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "windowTime", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The duration must be a positive number")
+        .throws(_=> observable.windowTime(), RangeError)
+        .throws(_=> observable.windowTime(0), RangeError)
+        ._("The maximum size must be a positive integer")
+        .throws(_=> observable.windowTime(1, 0), RangeError)
+        ._("Options must be an object")
+        .throws(_=> observable.windowTime(1, 1, null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.windowTime(1).token, token);
+    },
+
+    "Values are split into windows by time" (test, { Observable, TestScheduler }) {
+
+        let scheduler = new TestScheduler(),
+            source = null,
+            windows = [];
+
+        new Observable(observer => { source = observer })
+            .windowTime(10, 2, { scheduler })
+            .subscribe({
+                next(w) {
+                    let calls = [scheduler.now()];
+                    windows.push(calls);
+                    w.subscribe({ next(v) { calls.push(v) } });
+                },
+            });
+
+        source.next(1);
+        scheduler.advanceBy(10);
+        source.next(2);
+        source.next(3);
+        source.next(4);
+        scheduler.advanceBy(10);
+
+        test._("Windows are closed at the end of each period, or when full")
+        .equals(windows, [[0, 1], [10, 2, 3], [10, 4], [20]]);
+    },
+
+};
@@ -0,0 +1,111 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty, getSymbol } from "./helpers.js";
+
+export default {
+
+    "Observable.prototype has a window property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable.prototype, "window", {
+            configurable: true,
+            writable: true,
+            length: 1,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        let observable = new Observable(_=> null);
+
+        test
+        ._("The notifier must be convertible to an observable")
+        .throws(_=> observable.window(), TypeError)
+        .throws(_=> observable.window(null), TypeError)
+        ;
+    },
+
+    "Species is used to determine the constructor" (test, { Observable }) {
+
+        let observable = new Observable(_=> null),
+            token = {};
+
+        function species() {
+            this.token = token;
+        }
+
+        observable.constructor = function() {};
+        observable.constructor[getSymbol("species")] = species;
+
+        test._("Constructor species is used as the new constructor")
+        .equals(observable.window([]).token, token);
+    },
+
+    "Values are split into windows by the notifier" (test, { Observable, Subject }) {
+
+        let notifier = new Subject(),
+            source = null,
+            windows = [];
+
+        new Observable(observer => { source = observer })
+            .window(notifier)
+            .subscribe({
+                next(w) {
+                    let calls = [];
+                    windows.push(calls);
+                    w.subscribe({
+                        next(v) { calls.push(v) },
+                        complete(v) { calls.push(["complete", v]) },
+                    });
+                },
+            });
+
+        test._("The first window is opened on subscription")
+        .equals(windows.length, 1);
+
+        source.next(1);
+        source.next(2);
+        notifier.next();
+        source.next(3);
+        source.complete("done");
+
+        test._("Each window receives the values sent while it is open")
+        .equals(windows, [[1, 2, ["complete", undefined]], [3, ["complete", "done"]]]);
+    },
+
+    "Windows are observables" (test, { Observable, Subject }) {
+
+        let windows = [];
+
+        new Observable(_=> null).window(new Subject()).subscribe({
+            next(w) { windows.push(w) },
+        });
+
+        test
+        ._("Windows are instances of the constructor")
+        .assert(windows[0] instanceof Observable)
+        ._("Windows do not expose the subject")
+        .assert(!(windows[0] instanceof Subject))
+        ;
+    },
+
+    "Errors are sent to the open window" (test, { Observable, Subject }) {
+
+        let error = new Error(),
+            calls = [];
+
+        new Observable(observer => { observer.error(error) })
+            .window(new Subject())
+            .subscribe({
+                next(w) { w.subscribe({ error(e) { calls.push(["window", e]) } }) },
+                error(e) { calls.push(["outer", e]) },
+            });
+
+        test._("Both the window and the observer receive the error")
+        .equals(calls, [["window", error], ["outer", error]]);
+    },
+
+};
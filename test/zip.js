@@ -0,0 +1,81 @@
+/*
+
+Not currently part of the es-observable specification
+
+*/
+
+import { testMethodProperty } from "./helpers.js";
+
+export default {
+
+    "Observable has a zip property" (test, { Observable }) {
+
+        testMethodProperty(test, Observable, "zip", {
+            configurable: true,
+            writable: true,
+            length: 0,
+        });
+    },
+
+    "Allowed arguments" (test, { Observable }) {
+
+        test._("Arguments must be convertible to observables")
+        .throws(_=> Observable.zip([], null), TypeError);
+    },
+
+    "Values are paired by index" (test, { Observable }) {
+
+        let a = null,
+            b = null,
+            values = [],
+            completed = [];
+
+        Observable.zip(
+            new Observable(x => { a = x }),
+            new Observable(x => { b = x })
+        ).subscribe({
+            next(v) { values.push(v) },
+            complete(v) { completed.push(v) },
+        });
+
+        a.next(1);
+        a.next(2);
+        a.complete("a");
+        b.next("x");
+
+        test
+        ._("Values are sent when every input has a value at the same index")
+        .equals(values, [[1, "x"]])
+        ._("Does not complete while a completed input has buffered values")
+        .equals(completed, [])
+        ;
+
+        b.next("y");
+
+        test
+        ._("Buffered values are paired")
+        .equals(values, [[1, "x"], [2, "y"]])
+        ._("Completes with the completion value of the input which ends the zip")
+        .equals(completed, ["a"])
+        ;
+    },
+
+    "Completion with an empty buffer" (test, { Observable }) {
+
+        let cleanup = 0,
+            completed = [];
+
+        Observable.zip(
+            new Observable(_=> _=> cleanup++),
+            new Observable(x => { x.complete("b") })
+        ).subscribe({ complete(v) { completed.push(v) } });
+
+        test
+        ._("Completes immediately with the input's completion value")
+        .equals(completed, ["b"])
+        ._("Other inputs are cleaned up")
+        .equals(cleanup, 1)
+        ;
+    },
+
+};